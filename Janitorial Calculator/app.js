@@ -10,61 +10,96 @@
  * @version 2.4.0
  */
 
+/**
+ * Create a deep copy of an object
+ * @param {Object} obj - Object to clone
+ * @returns {Object} - Deep copy of the object
+ */
+const deepClone = (obj) => {
+    return JSON.parse(JSON.stringify(obj));
+};
+
+// Application-wide settings, shared by every rate card (persisted in localStorage)
+const DEFAULT_SETTINGS = {
+    quoteNumberPrefix: 'PFS',
+    // Company details, colors and wording on printed and PDF quotes
+    branding: {
+        companyName: 'Prime Facility Services Group',
+        logoDataUrl: '',
+        address: '',
+        licenseNumber: '',
+        insuranceNumber: '',
+        primaryColor: '#03143A',
+        accentColor: '#C70532',
+        proposalTitle: 'Professional Kitchen Cleaning Proposal',
+        footerText: 'Phone: (713) 555-7890 | Email: info@primefacilityservices.com\nwww.primefacilityservicesgroup.com',
+        validityDays: 30,
+        terms: 'Payment terms: 50% deposit, balance due upon completion.\n' +
+            'All services are subject to our standard terms and conditions available upon request.\n' +
+            'Please contact us with any questions or to schedule your service.'
+    },
+    // DOCUMENT_SECTIONS keys shown in each quote document mode
+    documentSections: {
+        customer: ['customer', 'serviceLines', 'scopeOfWork', 'price', 'tiers', 'terms'],
+        internal: ['customer', 'costBreakdown', 'totals', 'tiers', 'profitAnalysis', 'terms'],
+        workOrder: ['customer', 'siteAccess', 'serviceLines', 'scopeOfWork', 'crew']
+    }
+};
+
+/**
+ * Fill in any setting missing from stored settings with its default
+ * @param {Object} [settings] - Stored settings
+ * @returns {Object} - Complete settings
+ */
+const normalizeSettings = (settings = {}) => ({
+    ...deepClone(DEFAULT_SETTINGS),
+    ...deepClone(settings),
+    branding: { ...deepClone(DEFAULT_SETTINGS.branding), ...deepClone(settings.branding || {}) },
+    documentSections: { ...deepClone(DEFAULT_SETTINGS.documentSections), ...deepClone(settings.documentSections || {}) }
+});
+
 // ===== Application State =====
 const state = {
     // Core Data
-    useSubcontractor: false,
-    subcontractorCost: 0,
-    workers: 2,
-    hours: 4,
-    days: 1,
-    materialsPerDay: 50,
-    equipmentPerDay: 40,
-    largeHoods: 0,
-    smallHoods: 0,
-    hoodCleaningFrequency: 1,
-    hoodLaborCostPerc: 38,  // Default 38% of hood price is labor cost
-    hoodMaterialCostPerc: 12, // Default 12% of hood price is material cost
-    isHoliday: false,
-    outsideHouston: false,
-    includeInsurance: true,
-
-    // Configuration
-    config: {
-        regularPayRate: 16,
-        supervisorPayRate: 18,
-        transportCostPerDay: 150,
-        outsideHoustonTransportCostPerDay: 300,
-        largeHoodPrice: 650,
-        smallHoodPrice: 550,
-        workCompRate: 1.88,
-        glRate: 7.33
-    },
+    ...deepClone(DEFAULT_INPUTS),
+
+    // Rate card profiles (persisted in localStorage)
+    profiles: [{ id: 'default', name: 'Standard Rates', config: deepClone(DEFAULT_CONFIG) }],
+    activeProfileId: 'default',
+
+    // Configuration of the active profile
+    config: null,
+
+    // Rates frozen into the open saved quote; overrides config while set
+    quoteConfig: null,
+
+    // Customer and site as saved with the open quote ({ customer, site }); shown
+    // instead of the directory's current details while the quote stays attached to them
+    quoteCustomer: null,
+
+    // Rate card name of a quote opened from a shared link
+    sharedProfileName: null,
 
     // Options
-    options: {
-        includeTransport: true,
-        includeMaterials: true,
-        includeEquipment: true,
-        enableRounding: true,
-        roundingMethod: 'up',
-        roundingValue: 50,
-        useCustomMarkup: false,
-        customMarkupPercentage: 120,
-        commissionPercentage: 20,
-        enableCommissionSplit: false,
-        commissionSplits: [10, 10],
-        regularSuppliesPercentage: 6,
-        additionalEquipmentPercentage: 2.75,
-        uniformSafetyPercentage: 2.5,
-        communicationsPercentage: 1,
-        overheadPercentage: 5,
-        enableInitialFee: false,
-        initialFeeValue: 150,
-        enableResidualPercentage: false,
-        residualPercentageValue: 10,
-        enableAutoCostOptimization: false
-    },
+    options: deepClone(DEFAULT_OPTIONS),
+
+    // Application-wide settings
+    settings: deepClone(DEFAULT_SETTINGS),
+
+    // Saved quote currently loaded in the calculator ({ id, name, quoteNumber, revision, ... } or null)
+    activeQuote: null,
+
+    // Saved quote library, loaded from IndexedDB
+    savedQuotes: [],
+
+    // Customer directory, loaded from IndexedDB
+    customers: [],
+
+    // Scenarios of the current quote pinned for comparison
+    scenarios: [],
+
+    // Last goal seek ({ target, variable, value, solution } or null)
+    goalSeek: null,
 
     // UI State
     ui: {
@@ -75,7 +110,12 @@ const state = {
         hasUnsavedConfigChanges: false,
         highlightedElements: new Set(),
         valueHistory: {}, // For tracking value changes
-        toastQueue: []
+        toastQueue: [],
+        quoteSearch: '',
+        quoteSort: 'updated-desc',
+        documentMode: 'customer', // DOCUMENT_MODES key used to print and for the PDF
+        editingCustomer: null, // Customer open in the directory editor
+        brandLogo: '' // Logo shown in the branding settings until the configuration is saved
     },
 
     // Calculation results cache
@@ -89,7 +129,7 @@ const state = {
         hoodCleaningCost: 0,
         operationalCosts: 0,
         subtotal: 0,
-        residualAmount: 0,
+        residualPercentageAmount: 0,
         markup: 0,
         markupPercentage: 0,
         holidaySurcharge: 0,
@@ -114,6 +154,8 @@ const state = {
     }
 };
 
+state.config = state.profiles[0].config;
+
 // ===== Helper Functions =====
 
 /**
@@ -134,44 +176,20 @@ const extractNumericValue = str => {
 };
 
 /**
- * Round an amount using the desired method.
- * @param {number} amount - Value to round.
- * @param {'up'|'down'|'nearest'} method - Rounding mode.
- * @param {number} value - Step value for rounding.
- * @returns {number} - Rounded amount
- */
-const roundAmount = (amount, method = 'up', value = 50) => {
-    if (!value) return amount;
-    switch (method) {
-        case 'up': return Math.ceil(amount / value) * value;
-        case 'down': return Math.floor(amount / value) * value;
-        case 'nearest': default: return Math.round(amount / value) * value;
-    }
-};
-
-/**
- * Calculate markup percentage based on contract length or custom value.
- * @param {number} days - Number of service days.
- * @returns {number} - Calculated markup percentage
+ * Escape a string for safe insertion into HTML
+ * @param {string} str - Raw string
+ * @returns {string} - HTML-escaped string
  */
-const calculateMarkupPercentage = (days) => {
-    if (state.options.useCustomMarkup) return state.options.customMarkupPercentage;
-    const baseMarkup = 120;
-    if (days === 1) return baseMarkup;
-    const minMarkup = 35;
-    const daysEffect = Math.min(1, (days - 1) / 29);
-    let markup = baseMarkup - (baseMarkup - minMarkup) * daysEffect;
-    return Math.round(markup);
-};
+const escapeHTML = str => String(str ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[ch]);
 
 /**
- * Create a deep copy of an object
- * @param {Object} obj - Object to clone
- * @returns {Object} - Deep copy of the object
+ * Generate a reasonably unique identifier for stored records
+ * @param {string} [prefix=''] - Optional prefix
+ * @returns {string} - New identifier
  */
-const deepClone = (obj) => {
-    return JSON.parse(JSON.stringify(obj));
-};
+const generateId = (prefix = '') => prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
 
 /**
  * Highlight an element to draw attention to changes
@@ -256,27 +274,31 @@ const processToastQueue = () => {
     }, 3500); // Slightly longer than notification display time
 };
 
+/**
+ * Collect the quote inputs from the state
+ * @returns {Object} - Copy of the current inputs, keyed like DEFAULT_INPUTS
+ */
+const getQuoteInputs = () => {
+    const inputs = {};
+    Object.keys(DEFAULT_INPUTS).forEach(key => {
+        inputs[key] = deepClone(state[key]);
+    });
+    return inputs;
+};
+
+/**
+ * Get the rates the current quote is priced with
+ * @returns {Object} - The open quote's frozen config, or the current rate card
+ */
+const getPricingConfig = () => state.quoteConfig || state.config;
+
 /**
  * Save a snapshot of the current state for undo/redo functionality
  */
 const saveSnapshot = () => {
     // Create a deep copy of the relevant parts of the state
     const snapshot = {
-        useSubcontractor: state.useSubcontractor,
-        subcontractorCost: state.subcontractorCost,
-        workers: state.workers,
-        hours: state.hours,
-        days: state.days,
-        materialsPerDay: state.materialsPerDay,
-        equipmentPerDay: state.equipmentPerDay,
-        largeHoods: state.largeHoods,
-        smallHoods: state.smallHoods,
-        hoodCleaningFrequency: state.hoodCleaningFrequency,
-        hoodLaborCostPerc: state.hoodLaborCostPerc,
-        hoodMaterialCostPerc: state.hoodMaterialCostPerc,
-        isHoliday: state.isHoliday,
-        outsideHouston: state.outsideHouston,
-        includeInsurance: state.includeInsurance,
+        ...getQuoteInputs(),
         options: deepClone(state.options)
     };
 
@@ -327,24 +349,7 @@ const applySnapshot = (index) => {
     const snapshot = state.history.snapshots[index];
 
     // Apply the snapshot to the state
-    Object.assign(state, {
-        useSubcontractor: snapshot.useSubcontractor,
-        subcontractorCost: snapshot.subcontractorCost,
-        workers: snapshot.workers,
-        hours: snapshot.hours,
-        days: snapshot.days,
-        materialsPerDay: snapshot.materialsPerDay,
-        equipmentPerDay: snapshot.equipmentPerDay,
-        largeHoods: snapshot.largeHoods,
-        smallHoods: snapshot.smallHoods,
-        hoodCleaningFrequency: snapshot.hoodCleaningFrequency,
-        hoodLaborCostPerc: snapshot.hoodLaborCostPerc,
-        hoodMaterialCostPerc: snapshot.hoodMaterialCostPerc,
-        isHoliday: snapshot.isHoliday,
-        outsideHouston: snapshot.outsideHouston,
-        includeInsurance: snapshot.includeInsurance,
-        options: deepClone(snapshot.options)
-    });
+    Object.assign(state, deepClone(snapshot));
 
     // Update the UI to match the state
     updateUIFromState();
@@ -459,6 +464,7 @@ const checkBrowserSupport = () => {
         html2canvas: typeof html2canvas !== 'undefined',
         jsPDF: typeof window.jspdf !== 'undefined' || typeof jsPDF !== 'undefined',
         localStorage: false,
+        indexedDB: typeof indexedDB !== 'undefined',
         downloadAPI: 'download' in document.createElement('a')
     };
 
@@ -474,6 +480,45 @@ const checkBrowserSupport = () => {
     return support;
 };
 
+/**
+ * Download text content as a file
+ * @param {string} content - File content
+ * @param {string} fileName - Name for the downloaded file
+ * @param {string} mimeType - MIME type of the content
+ */
+const downloadTextFile = (content, fileName, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const downloadLink = $('downloadLink');
+    downloadLink.href = url;
+    downloadLink.download = fileName;
+    downloadLink.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Read a file chosen by the user as text
+ * @param {File} file - File to read
+ * @returns {Promise<string>} - File content
+ */
+const readFileAsText = file => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+});
+
+/**
+ * Read a file chosen by the user as a data URL
+ * @param {File} file - File to read
+ * @returns {Promise<string>} - data: URL of the file
+ */
+const readFileAsDataURL = file => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
 // ===== Event Handlers =====
 
 /**
@@ -482,30 +527,19 @@ const checkBrowserSupport = () => {
 function initEventListeners() {
     // Tab navigation
     $('quotationTab').addEventListener('click', () => {
-        // Check for unsaved changes in config
-        if (state.ui.hasUnsavedConfigChanges) {
-            if (confirm('You have unsaved changes in Configuration. Would you like to save them before leaving?')) {
-                $('saveConfigBtn').click();
-            } else {
-                state.ui.hasUnsavedConfigChanges = false;
-                updateUnsavedChangesIndicator();
-            }
-        }
+        checkUnsavedConfigChanges();
         showContent('quotationContent');
     });
 
+    $('quotesTab').addEventListener('click', () => {
+        checkUnsavedConfigChanges();
+        showContent('quotesContent');
+    });
+
     $('configTab').addEventListener('click', () => showContent('configContent'));
 
     $('breakdownTab').addEventListener('click', () => {
-        // Check for unsaved changes in config
-        if (state.ui.hasUnsavedConfigChanges) {
-            if (confirm('You have unsaved changes in Configuration. Would you like to save them before leaving?')) {
-                $('saveConfigBtn').click();
-            } else {
-                state.ui.hasUnsavedConfigChanges = false;
-                updateUnsavedChangesIndicator();
-            }
-        }
+        checkUnsavedConfigChanges();
 
         showContent('quotationContent');
         const resultsEl = document.querySelector('.results-column') || document.querySelector('.result-section');
@@ -561,7 +595,7 @@ function initEventListeners() {
         }
 
         // Track configuration changes
-        if (e.target.closest('#configContent')) {
+        if (e.target.closest('#configContent') && !e.target.closest('.profile-manager')) {
             state.ui.hasUnsavedConfigChanges = true;
             updateUnsavedChangesIndicator();
         }
@@ -575,6 +609,128 @@ function initEventListeners() {
         calculateAll();
     });
 
+    // Shift schedule
+    $('shiftStart').addEventListener('change', function () {
+        state.shiftStart = this.value || DEFAULT_INPUTS.shiftStart;
+        saveSnapshot();
+        calculateAll();
+    });
+
+    $('serviceDays').addEventListener('change', e => {
+        const checked = Array.from(document.querySelectorAll('#serviceDays [data-day]:checked'));
+        if (checked.length === 0) {
+            showNotification('Select at least one service day.', 'error');
+            e.target.checked = true;
+            return;
+        }
+        state.serviceDays = checked.map(checkbox => checkbox.dataset.day);
+        saveSnapshot();
+        calculateAll();
+    });
+
+    // Add-on coverage required by the customer
+    $('coverageOptions').addEventListener('change', () => {
+        state.coverageIds = Array.from(document.querySelectorAll('#coverageOptions [data-coverage-id]:checked'))
+            .map(checkbox => checkbox.dataset.coverageId);
+        saveSnapshot();
+        calculateAll();
+    });
+
+    // Crew table
+    $('crewRows').addEventListener('input', debounce(e => {
+        if (e.target.dataset.key && e.target.dataset.key !== 'roleId') updateCrewRow(e.target);
+    }, 300));
+
+    $('crewRows').addEventListener('change', e => {
+        if (e.target.dataset.key === 'roleId') updateCrewRow(e.target);
+    });
+
+    $('crewRows').addEventListener('click', e => {
+        const button = e.target.closest('[data-remove-crew-row]');
+        if (button) removeCrewRow(parseInt(button.closest('tr').dataset.index));
+    });
+
+    $('addCrewRowBtn').addEventListener('click', addCrewRow);
+
+    // Hood lines
+    $('hoodLineRows').addEventListener('input', debounce(e => {
+        if (e.target.dataset.key && e.target.dataset.key !== 'hoodTypeId') updateHoodLine(e.target);
+    }, 300));
+
+    $('hoodLineRows').addEventListener('change', e => {
+        if (e.target.dataset.key === 'hoodTypeId') updateHoodLine(e.target);
+    });
+
+    $('hoodLineRows').addEventListener('click', e => {
+        const button = e.target.closest('[data-remove-hood-line]');
+        if (button) removeHoodLine(parseInt(button.closest('tr').dataset.index));
+    });
+
+    $('addHoodLineBtn').addEventListener('click', addHoodLine);
+
+    // Add-on service lines
+    $('serviceLineRows').addEventListener('input', debounce(e => {
+        if (e.target.dataset.key === 'quantity') updateServiceLine(e.target);
+    }, 300));
+
+    $('serviceLineRows').addEventListener('change', e => {
+        if (e.target.dataset.key === 'serviceId') updateServiceLine(e.target);
+    });
+
+    $('serviceLineRows').addEventListener('click', e => {
+        const button = e.target.closest('[data-remove-service-line]');
+        if (button) removeServiceLine(parseInt(button.closest('tr').dataset.index));
+    });
+
+    $('addServiceLineBtn').addEventListener('click', addServiceLine);
+
+    // Site survey
+    $('siteSurveyContent').addEventListener('input', e => {
+        if (e.target.tagName === 'INPUT' && !e.target.closest('.survey-apply')) updateSiteSurvey(e.target);
+    });
+
+    $('siteSurveyContent').addEventListener('change', e => {
+        if (e.target.tagName === 'SELECT') updateSiteSurvey(e.target);
+    });
+
+    $('applySurveyBtn').addEventListener('click', applySurveyEstimate);
+
+    // Scope of work
+    $('scopeRows').addEventListener('input', e => {
+        if (e.target.dataset.key && e.target.tagName === 'INPUT') updateScopeItem(e.target);
+    });
+
+    $('scopeRows').addEventListener('change', e => {
+        if (e.target.tagName === 'SELECT') updateScopeItem(e.target);
+    });
+
+    $('scopeRows').addEventListener('click', e => {
+        const button = e.target.closest('[data-remove-scope-item]');
+        if (button) removeScopeItem(parseInt(button.closest('tr').dataset.index));
+    });
+
+    $('scopeAreaSelect').addEventListener('change', renderScopeTaskOptions);
+    $('addScopeTaskBtn').addEventListener('click', addScopeTask);
+    $('addScopeAreaBtn').addEventListener('click', addScopeArea);
+    $('applyScopeHoursBtn').addEventListener('click', applyScopeHours);
+
+    // Proposal tiers
+    $('tierRows').addEventListener('input', e => {
+        if (e.target.dataset.key && e.target.type !== 'checkbox') updateTierRow(e.target);
+    });
+
+    $('tierRows').addEventListener('change', e => {
+        if (e.target.type === 'checkbox') updateTierRow(e.target);
+    });
+
+    $('tierRows').addEventListener('click', e => {
+        const row = e.target.closest('tr');
+        if (e.target.closest('[data-remove-tier]')) removeTierRow(parseInt(row.dataset.index));
+        else if (e.target.closest('[data-accept-tier]')) toggleAcceptedTier(parseInt(row.dataset.index));
+    });
+
+    $('addTierBtn').addEventListener('click', addTierRow);
+
     // Markup Slider
     $('markupSlider').addEventListener('input', function () {
         const value = parseInt(this.value);
@@ -590,23 +746,47 @@ function initEventListeners() {
             return;
         }
 
+        const tableError = validateConfigTables();
+        if (tableError) {
+            showNotification(tableError, 'error');
+            return;
+        }
+
         // Update configuration values
-        state.config.regularPayRate = parseFloat($('regularPayRate').value) || 16;
-        state.config.supervisorPayRate = parseFloat($('supervisorPayRate').value) || 18;
-        state.config.transportCostPerDay = parseFloat($('transportCostConfig').value) || 150;
-        state.config.outsideHoustonTransportCostPerDay = parseFloat($('outsideHoustonTransportConfig').value) || 300;
-        state.config.largeHoodPrice = parseFloat($('largeHoodPriceConfig').value) || 650;
-        state.config.smallHoodPrice = parseFloat($('smallHoodPriceConfig').value) || 550;
-        state.config.workCompRate = parseFloat($('workCompRate').value) || 1.88;
         state.config.glRate = parseFloat($('glRate').value) || 7.33;
+        state.config.glMinimumPremium = parseFloat($('glMinimumPremium').value) || 0;
+        state.config.surveyShiftHours = parseFloat($('surveyShiftHours').value) || DEFAULT_CONFIG.surveyShiftHours;
+        state.config.hoodWorkCompClassId = $('hoodWorkCompClass').value;
+        state.config.overtime = {
+            dailyThreshold: parseFloat($('overtimeDailyThreshold').value) || 0,
+            weeklyThreshold: parseFloat($('overtimeWeeklyThreshold').value) || 0,
+            multiplier: parseFloat($('overtimeMultiplier').value) || 1
+        };
+        state.config.shiftDifferentials = {
+            nightStart: $('nightShiftStart').value || '22:00',
+            nightEnd: $('nightShiftEnd').value || '06:00',
+            nightPerc: parseFloat($('nightDifferentialPerc').value) || 0,
+            weekendPerc: parseFloat($('weekendDifferentialPerc').value) || 0
+        };
+        Object.keys(CONFIG_TABLES).forEach(key => {
+            state.config[key] = readConfigTable(key);
+        });
+        persistProfiles();
+
+        // Application-wide settings
+        state.settings.quoteNumberPrefix = $('quoteNumberPrefix').value.trim() || DEFAULT_SETTINGS.quoteNumberPrefix;
+        state.settings.documentSections = readDocumentSectionSettings();
+        state.settings.branding = readBrandingSettings();
+        persistSettings();
 
         // Reset unsaved changes indicator
         state.ui.hasUnsavedConfigChanges = false;
         updateUnsavedChangesIndicator();
 
         // Update UI elements that display configuration values
-        updateHoodPriceLabels();
         updateInsuranceDetails();
+        updateFrozenConfigNotice();
+        renderQuoteLines();
 
         saveSnapshot();
         calculateAll();
@@ -615,16 +795,182 @@ function initEventListeners() {
     });
 
     // Print and Export buttons
+    $('documentModeSelect').addEventListener('change', function () {
+        state.ui.documentMode = this.value;
+        persistPreferences();
+    });
+
     $('printQuoteBtn').addEventListener('click', function () {
         preparePdfOrPrint('print');
     });
 
+    $('cancelPrintBtn').addEventListener('click', () => {
+        $('printPreviewModal').classList.remove('visible');
+        setTimeout(() => { $('printPreviewModal').style.display = 'none'; }, 300);
+    });
+
+    $('confirmPrintBtn').addEventListener('click', () => {
+        $('printPreviewModal').classList.remove('visible');
+        setTimeout(() => {
+            $('printPreviewModal').style.display = 'none';
+            window.print();
+        }, 300);
+    });
+
+    // Whatever starts printing (including the browser's own print command), only
+    // the quote document in the selected mode is printed
+    window.addEventListener('beforeprint', () => setHTML('printDocument', buildDocumentHtml(state.ui.documentMode)));
+    window.addEventListener('afterprint', () => setHTML('printDocument', ''));
+
+    // Branding logo, saved with the configuration
+    $('uploadBrandLogoBtn').addEventListener('click', () => $('brandLogoFile').click());
+    $('brandLogoFile').addEventListener('change', function () {
+        if (this.files[0]) loadBrandLogo(this.files[0]);
+        this.value = '';
+    });
+    $('removeBrandLogoBtn').addEventListener('click', () => {
+        state.ui.brandLogo = '';
+        renderBrandLogoPreview();
+        state.ui.hasUnsavedConfigChanges = true;
+        updateUnsavedChangesIndicator();
+    });
+
     $('downloadPdfBtn').addEventListener('click', function () {
         preparePdfOrPrint('pdf');
     });
 
     $('screenshotBtn').addEventListener('click', captureScreenshot);
 
+    $('copyLinkBtn').addEventListener('click', copyShareLink);
+    $('exportCsvBtn').addEventListener('click', exportBreakdownCsv);
+
+    // Goal seek
+    $('solveGoalBtn').addEventListener('click', runGoalSeek);
+    $('goalSeekResult').addEventListener('click', e => {
+        if (e.target.closest('#applyGoalSeekBtn')) applyGoalSeek();
+    });
+
+    // Scenario comparison
+    $('pinScenarioBtn').addEventListener('click', pinScenario);
+    $('scenarioComparison').addEventListener('click', e => {
+        const button = e.target.closest('button[data-scenario-action]');
+        if (!button) return;
+        if (button.dataset.scenarioAction === 'promote') promoteScenario(button.dataset.id);
+        else removeScenario(button.dataset.id);
+    });
+
+    // Customer and site on the quote
+    $('quoteCustomerSelect').addEventListener('change', function () {
+        selectQuoteCustomer(this.value);
+    });
+    $('quoteSiteSelect').addEventListener('change', function () {
+        selectQuoteSite(this.value);
+    });
+
+    // Customer directory
+    $('addCustomerBtn').addEventListener('click', () => openCustomerEditor());
+    $('customerList').addEventListener('click', e => {
+        const button = e.target.closest('button[data-customer-action]');
+        if (!button) return;
+        if (button.dataset.customerAction === 'edit') {
+            openCustomerEditor(state.customers.find(c => c.id === button.dataset.id));
+        } else {
+            deleteCustomer(button.dataset.id);
+        }
+    });
+    $('addCustomerSiteBtn').addEventListener('click', () => {
+        $('customerSiteRows').insertAdjacentHTML('beforeend', renderCustomerSiteRow({ id: generateId('s-'), name: '' }));
+    });
+    $('customerSiteRows').addEventListener('click', e => {
+        const button = e.target.closest('[data-remove-site]');
+        if (button) button.closest('tr').remove();
+    });
+    $('saveCustomerBtn').addEventListener('click', saveCustomerEditor);
+    $('cancelCustomerBtn').addEventListener('click', closeCustomerEditor);
+
+    // Saved quotes
+    $('saveQuoteBtn').addEventListener('click', saveCurrentQuote);
+    $('saveQuoteLibraryBtn').addEventListener('click', saveCurrentQuote);
+    $('repriceQuoteBtn').addEventListener('click', repriceWithCurrentConfig);
+
+    // Transport zone
+    $('transportZone').addEventListener('change', function () {
+        state.transportZoneId = this.value;
+        saveSnapshot();
+        calculateAll();
+    });
+
+    $('configContent').addEventListener('click', e => {
+        const addButton = e.target.closest('[data-add-row]');
+        const removeButton = e.target.closest('[data-remove-row]');
+
+        if (addButton) {
+            addConfigTableRow(addButton.dataset.addRow);
+        } else if (removeButton) {
+            removeButton.closest('tr').remove();
+        } else {
+            return;
+        }
+
+        renderMarkupCurveChart(readConfigTable('markupCurve'));
+        refreshWorkCompClassSelects();
+        state.ui.hasUnsavedConfigChanges = true;
+        updateUnsavedChangesIndicator();
+    });
+
+    // Preview markup curve edits before they are saved
+    $('markupCurveTable').addEventListener('input', () => renderMarkupCurveChart(readConfigTable('markupCurve')));
+
+    // Offer renamed workers' comp classes to the crew roles before they are saved
+    $('workCompClassesTable').addEventListener('input', refreshWorkCompClassSelects);
+
+    // Quote numbering
+    $('quoteNumberPrefix').addEventListener('input', updateNextQuoteNumberHelp);
+
+    // Rate card profiles
+    $('quoteProfileSelect').addEventListener('change', function () {
+        selectProfile(this.value);
+        showNotification(`Pricing with the "${escapeHTML(getActiveProfile().name)}" rate card.`, 'info');
+    });
+
+    $('configProfileSelect').addEventListener('change', function () {
+        checkUnsavedConfigChanges();
+        selectProfile(this.value);
+    });
+
+    document.querySelectorAll('[data-profile-action]').forEach(button => {
+        button.addEventListener('click', () => handleProfileAction(button.dataset.profileAction));
+    });
+
+    $('quoteSearchInput').addEventListener('input', debounce(function () {
+        state.ui.quoteSearch = this.value;
+        renderSavedQuotes();
+    }, 200));
+
+    $('quoteSortSelect').addEventListener('change', function () {
+        state.ui.quoteSort = this.value;
+        persistPreferences();
+        renderSavedQuotes();
+    });
+
+    $('exportQuotesCsvBtn').addEventListener('click', exportSavedQuotesCsv);
+
+    // Backup and restore
+    $('exportBackupBtn').addEventListener('click', exportBackup);
+    $('importBackupBtn').addEventListener('click', () => $('importBackupFile').click());
+    $('importBackupFile').addEventListener('change', function () {
+        if (this.files.length) importBackup(this.files[0]);
+        this.value = '';
+    });
+    $('importModeSelect').addEventListener('change', function () {
+        $('importConflictSelect').disabled = this.value === 'replace';
+    });
+
+    $('savedQuotesList').addEventListener('click', e => {
+        const button = e.target.closest('button[data-action]');
+        if (button) handleSavedQuoteAction(button.dataset.action, button.dataset.id);
+    });
+
     // Modal close buttons
     document.querySelectorAll('.close-modal').forEach(btn => {
         btn.addEventListener('click', function () {
@@ -642,12 +988,8 @@ function initEventListeners() {
     updateInsuranceDetails();
 
     // Initialize configuration values
-    $('workCompRate').value = state.config.workCompRate;
     $('glRate').value = state.config.glRate;
-    $('largeHoodPriceConfig').value = state.config.largeHoodPrice;
-    $('smallHoodPriceConfig').value = state.config.smallHoodPrice;
-    $('transportCostConfig').value = state.config.transportCostPerDay;
-    $('outsideHoustonTransportConfig').value = state.config.outsideHoustonTransportCostPerDay;
+    $('glMinimumPremium').value = state.config.glMinimumPremium;
 
     // Add keyboard shortcuts
     document.addEventListener('keydown', handleKeyboardShortcuts);
@@ -685,6 +1027,20 @@ function initEventListeners() {
     }
 }
 
+/**
+ * Offer to save pending configuration changes before leaving the Configuration tab
+ */
+function checkUnsavedConfigChanges() {
+    if (!state.ui.hasUnsavedConfigChanges) return;
+
+    if (confirm('You have unsaved changes in Configuration. Would you like to save them before leaving?')) {
+        $('saveConfigBtn').click();
+    } else {
+        state.ui.hasUnsavedConfigChanges = false;
+        updateUnsavedChangesIndicator();
+    }
+}
+
 /**
  * Update the unsaved changes indicator
  */
@@ -751,7 +1107,6 @@ function handleCheckboxChange(checkbox) {
         'includeMaterials': checked => state.options.includeMaterials = checked,
         'includeEquipment': checked => state.options.includeEquipment = checked,
         'isHoliday': checked => state.isHoliday = checked,
-        'outsideHouston': checked => state.outsideHouston = checked,
         'useSubcontractor': checked => {
             state.useSubcontractor = checked;
             $('subcontractorDetails').classList.toggle('visible', checked);
@@ -829,15 +1184,11 @@ function handleNumericInput(input) {
 
     // Handle numeric value inputs
     const valueInputMap = {
-        'workers': { stateKey: 'workers', min: 0 }, // Changed min to 0 to allow 0 workers
-        'hours': { stateKey: 'hours', min: 1 },
         'days': { stateKey: 'days', min: 1 },
         'materials': { stateKey: 'materialsPerDay', min: 0 },
         'equipment': { stateKey: 'equipmentPerDay', min: 0 },
-        'largeHoods': { stateKey: 'largeHoods', min: 0 },
-        'smallHoods': { stateKey: 'smallHoods', min: 0 },
-        'hoodFrequency': { stateKey: 'hoodCleaningFrequency', min: 1 },
         'subcontractorCost': { stateKey: 'subcontractorCost', min: 0 },
+        'distanceMiles': { stateKey: 'distanceMiles', min: 0 },
         'initialFeeValue': { stateKey: 'options.initialFeeValue', min: 0 },
         'markupInput': { stateKey: 'options.customMarkupPercentage', min: 20 }
     };
@@ -867,25 +1218,26 @@ function handleNumericInput(input) {
             state[stateKey] = value;
         }
 
-        // Special validation: enforce at least workers=0 when there are hood cleanings
-        if (input.id === 'workers' || input.id === 'largeHoods' || input.id === 'smallHoods') {
-            validateWorkersWithHoods();
-        }
-
         saveSnapshot();
         calculateAll();
     }
 }
 
 /**
- * Validate that we have workers or hoods
+ * Validate that we have crew members, hoods or add-on services
  */
-function validateWorkersWithHoods() {
-    // If there are no workers, there should be at least one hood
-    if (state.workers === 0 && state.largeHoods === 0 && state.smallHoods === 0) {
-        showNotification("You must have at least one worker or one hood to clean.", "error");
-        state.workers = 1;
-        $('workers').value = 1;
+function validateCrewWithHoods() {
+    // If there is no crew, there should be at least one hood or add-on service
+    const hasHoods = state.hoodLines.some(line => line.quantity > 0);
+    const hasServices = state.serviceLines.some(line => line.quantity > 0);
+    if (getCrewHeadcount(state.crew) === 0 && !hasHoods && !hasServices) {
+        showNotification("You must have at least one crew member, hood or add-on service.", "error");
+        if (state.crew.length) {
+            state.crew[0].count = 1;
+        } else {
+            state.crew.push(createCrewRow());
+        }
+        renderCrewRows();
     }
 }
 
@@ -914,6 +1266,9 @@ function handleKeyboardShortcuts(e) {
                 if ($('configTab').classList.contains('active')) {
                     e.preventDefault();
                     $('saveConfigBtn').click();
+                } else if ($('quotationTab').classList.contains('active')) {
+                    e.preventDefault();
+                    saveCurrentQuote();
                 }
                 break;
             case 'd':
@@ -1028,19 +1383,26 @@ function updatePercentageDisplays() {
 }
 
 /**
- * Update hood price labels
+ * Update insurance details display
  */
-function updateHoodPriceLabels() {
-    setContent('largeHoodPrice', `$${state.config.largeHoodPrice} each`);
-    setContent('smallHoodPrice', `$${state.config.smallHoodPrice} each`);
+function updateInsuranceDetails() {
+    const config = getPricingConfig();
+    setHTML('workCompDetails', config.workCompClasses.map(wcClass =>
+        `${escapeHTML(describeWorkCompClass(wcClass))}: $${wcClass.ratePer100} per $100 of labor cost`).join('<br>'));
+    setContent('generalLiabilityDetails', `$${config.glRate} per $1,000 of total price` +
+        (config.glMinimumPremium > 0 ? `, minimum ${formatCurrency(config.glMinimumPremium)}` : ''));
 }
 
 /**
- * Update insurance details display
+ * Render the add-on coverage checkboxes from the rate card's coverage options
  */
-function updateInsuranceDetails() {
-    setContent('workCompDetails', `$${state.config.workCompRate} per $100 of labor cost`);
-    setContent('generalLiabilityDetails', `$${state.config.glRate} per $1,000 of total price`);
+function renderCoverageOptions() {
+    const { coverageOptions } = getPricingConfig();
+
+    setHTML('coverageOptions', coverageOptions.map(coverage => `<label>
+        <input type="checkbox" data-coverage-id="${escapeHTML(coverage.id)}"${state.coverageIds.includes(coverage.id) ? ' checked' : ''}>
+        ${escapeHTML(coverage.name)} (${formatCurrency(coverage.premium)})</label>`).join('') ||
+        '<div class="help-text">No coverage options on this rate card</div>');
 }
 
 /**
@@ -1317,6 +1679,7 @@ function showContent(contentId) {
     switch (contentId) {
         case 'quotationContent': tabId = 'quotationTab'; break;
         case 'configContent': tabId = 'configTab'; break;
+        case 'quotesContent': tabId = 'quotesTab'; break;
         default: tabId = 'quotationTab';
     }
 
@@ -1330,52 +1693,19 @@ function showContent(contentId) {
 function resetCalculator() {
     if (!confirm('Are you sure you want to reset the calculator? All current data will be lost.')) return;
 
-    // Save UI state and config
+    // Save UI state
     const uiSectionStates = state.ui.sectionStates;
     const isDarkMode = state.ui.isDarkMode;
-    const savedConfig = { ...state.config };
 
-    // Reset state to defaults but keep saved config
+    // Reset state to defaults but keep the active rate card
     Object.assign(state, {
-        useSubcontractor: false,
-        subcontractorCost: 0,
-        workers: 2,
-        hours: 4,
-        days: 1,
-        materialsPerDay: 50,
-        equipmentPerDay: 40,
-        largeHoods: 0,
-        smallHoods: 0,
-        hoodCleaningFrequency: 1,
-        hoodLaborCostPerc: 38,
-        hoodMaterialCostPerc: 12,
-        isHoliday: false,
-        outsideHouston: false,
-        includeInsurance: true,
-        config: savedConfig,
-        options: {
-            includeTransport: true,
-            includeMaterials: true,
-            includeEquipment: true,
-            enableRounding: true,
-            roundingMethod: 'up',
-            roundingValue: 50,
-            useCustomMarkup: false,
-            customMarkupPercentage: 120,
-            commissionPercentage: 20,
-            enableCommissionSplit: false,
-            commissionSplits: [10, 10],
-            regularSuppliesPercentage: 6,
-            additionalEquipmentPercentage: 2.75,
-            uniformSafetyPercentage: 2.5,
-            communicationsPercentage: 1,
-            overheadPercentage: 5,
-            enableInitialFee: false,
-            initialFeeValue: 150,
-            enableResidualPercentage: false,
-            residualPercentageValue: 10,
-            enableAutoCostOptimization: false
-        },
+        ...deepClone(DEFAULT_INPUTS),
+        config: state.config,
+        options: deepClone(DEFAULT_OPTIONS),
+        quoteConfig: null,
+        quoteCustomer: null,
+        activeQuote: null,
+        scenarios: [],
         ui: {
             sectionStates: uiSectionStates,
             operationalCostsExpanded: false,
@@ -1383,7 +1713,10 @@ function resetCalculator() {
             hasUnsavedConfigChanges: false,
             highlightedElements: new Set(),
             valueHistory: {},
-            toastQueue: []
+            toastQueue: [],
+            quoteSearch: state.ui.quoteSearch,
+            quoteSort: state.ui.quoteSort,
+            documentMode: state.ui.documentMode
         }
     });
 
@@ -1402,6 +1735,59 @@ function resetCalculator() {
     showNotification('Calculator has been reset successfully.', 'success');
 }
 
+const PREFERENCES_STORAGE_KEY = 'kitchenCalculator.preferences';
+
+/**
+ * Get the display preferences worth keeping between visits
+ * @returns {Object} - { isDarkMode, quoteSort, documentMode }
+ */
+const getPreferences = () => ({
+    isDarkMode: state.ui.isDarkMode,
+    quoteSort: state.ui.quoteSort,
+    documentMode: state.ui.documentMode
+});
+
+/**
+ * Apply stored or backed-up display preferences, skipping unknown keys and invalid values
+ * @param {Object} preferences - Preferences ({ isDarkMode, quoteSort, documentMode })
+ */
+function applyPreferences(preferences) {
+    if (!isPlainObject(preferences)) return;
+
+    if (typeof preferences.isDarkMode === 'boolean') state.ui.isDarkMode = preferences.isDarkMode;
+    if (Object.prototype.hasOwnProperty.call(QUOTE_SORTERS, preferences.quoteSort)) state.ui.quoteSort = preferences.quoteSort;
+    if (Object.prototype.hasOwnProperty.call(DOCUMENT_MODES, preferences.documentMode)) {
+        state.ui.documentMode = preferences.documentMode;
+    }
+}
+
+/**
+ * Restore the display preferences from localStorage
+ * @returns {boolean} - Whether stored preferences were found
+ */
+function loadStoredPreferences() {
+    try {
+        const stored = localStorage.getItem(PREFERENCES_STORAGE_KEY);
+        if (!stored) return false;
+        applyPreferences(JSON.parse(stored));
+        return true;
+    } catch (error) {
+        console.error('Error loading preferences:', error);
+        return false;
+    }
+}
+
+/**
+ * Save the display preferences to localStorage
+ */
+function persistPreferences() {
+    try {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(getPreferences()));
+    } catch (error) {
+        console.error('Error saving preferences:', error);
+    }
+}
+
 /**
  * Toggle dark mode styles
  */
@@ -1413,593 +1799,3734 @@ function toggleDarkMode() {
     const icon = btn.querySelector('i');
     icon.className = state.ui.isDarkMode ? 'fas fa-sun' : 'fas fa-moon';
     btn.setAttribute('aria-pressed', state.ui.isDarkMode);
+    persistPreferences();
 
     // Update message based on current mode
     showNotification(`${state.ui.isDarkMode ? 'Dark' : 'Light'} mode activated`, 'info');
 }
 
-// ===== Update UI From State =====
+// ===== Crew Composition =====
 
 /**
- * Update UI to match state values
+ * Create a crew row for the default rate card role
+ * @param {number} hours - Hours per day
+ * @returns {Object} - Crew row
  */
-function updateUIFromState() {
-    // Basic fields
-    $('useSubcontractor').checked = state.useSubcontractor;
-    $('subcontractorDetails').classList.toggle('visible', state.useSubcontractor);
-    $('subcontractorCost').value = state.subcontractorCost;
-    $('workers').value = state.workers;
-    $('hours').value = state.hours;
-    $('days').value = state.days;
-    $('materials').value = state.materialsPerDay;
-    $('equipment').value = state.equipmentPerDay;
-    $('isHoliday').checked = state.isHoliday;
-    $('outsideHouston').checked = state.outsideHouston;
-    $('includeInsurance').checked = state.includeInsurance;
+function createCrewRow(hours = DEFAULT_INPUTS.crew[0].hours) {
+    const roles = getPricingConfig().crewRoles;
+    const role = roles.find(r => r.id === 'cleaner') || roles[0];
+    return { roleId: role ? role.id : '', count: 1, hours, payRate: null };
+}
 
-    // Hood cleaning
-    $('largeHoods').value = state.largeHoods;
-    $('smallHoods').value = state.smallHoods;
-    $('hoodFrequency').value = state.hoodCleaningFrequency;
-    $('hoodLaborCostPerc').value = state.hoodLaborCostPerc;
-    $('hoodMaterialCostPerc').value = state.hoodMaterialCostPerc;
+/**
+ * Render the crew table from state
+ */
+function renderCrewRows() {
+    const roles = getPricingConfig().crewRoles;
+
+    setHTML('crewRows', state.crew.map((row, index) => {
+        const role = roles.find(r => r.id === row.roleId);
+        const options = roles.map(r =>
+            `<option value="${escapeHTML(r.id)}"${r === role ? ' selected' : ''}>${escapeHTML(r.name)}</option>`
+        ).join('') + (role ? '' : `<option value="${escapeHTML(row.roleId)}" selected>Unknown role</option>`);
+
+        return `<tr data-index="${index}">
+            <td><select data-key="roleId" aria-label="Role">${options}</select></td>
+            <td><input type="number" data-key="count" min="0" step="1" value="${row.count}" aria-label="Headcount"></td>
+            <td><input type="number" data-key="hours" min="0" step="0.5" value="${row.hours}" aria-label="Hours per day"></td>
+            <td><input type="number" data-key="payRate" min="0" step="0.01" value="${row.payRate ?? ''}"
+                placeholder="${role ? role.payRate : ''}" aria-label="Pay rate override"></td>
+            <td><button type="button" class="btn btn-small btn-danger" data-remove-crew-row aria-label="Remove crew row">
+                <i class="fas fa-times" aria-hidden="true"></i></button></td>
+        </tr>`;
+    }).join(''));
+
+    setContent('crewHeadcount', getCrewHeadcount(state.crew));
+}
 
-    // Config values
-    $('regularPayRate').value = state.config.regularPayRate;
-    $('supervisorPayRate').value = state.config.supervisorPayRate;
-    $('transportCostConfig').value = state.config.transportCostPerDay;
-    $('outsideHoustonTransportConfig').value = state.config.outsideHoustonTransportCostPerDay;
-    $('largeHoodPriceConfig').value = state.config.largeHoodPrice;
-    $('smallHoodPriceConfig').value = state.config.smallHoodPrice;
-    $('workCompRate').value = state.config.workCompRate;
-    $('glRate').value = state.config.glRate;
+/**
+ * Update a crew row from one of its fields
+ * @param {HTMLElement} field - Crew table input or select
+ */
+function updateCrewRow(field) {
+    const row = state.crew[parseInt(field.closest('tr').dataset.index)];
+    if (!row) return;
+
+    const key = field.dataset.key;
+    if (key === 'roleId') {
+        row.roleId = field.value;
+        // Refresh the rate card placeholder for the new role
+        renderCrewRows();
+    } else if (key === 'payRate') {
+        row.payRate = field.value === '' ? null : Math.max(0, parseFloat(field.value) || 0);
+    } else if (key === 'count') {
+        row.count = Math.max(0, parseInt(field.value) || 0);
+    } else {
+        row.hours = Math.max(0, parseFloat(field.value) || 0);
+    }
+
+    setContent('crewHeadcount', getCrewHeadcount(state.crew));
+    validateCrewWithHoods();
+    saveSnapshot();
+    calculateAll();
+}
+
+/**
+ * Add a crew row with the same hours as the last row
+ */
+function addCrewRow() {
+    const last = state.crew[state.crew.length - 1];
+    state.crew.push(createCrewRow(last ? last.hours : undefined));
+    renderCrewRows();
+    saveSnapshot();
+    calculateAll();
+}
+
+/**
+ * Remove a crew row
+ * @param {number} index - Row index
+ */
+function removeCrewRow(index) {
+    state.crew.splice(index, 1);
+    renderCrewRows();
+    validateCrewWithHoods();
+    saveSnapshot();
+    calculateAll();
+}
+
+// ===== Hood Lines =====
+
+/**
+ * Render the hood lines from state
+ */
+function renderHoodLines() {
+    const hoodTypes = getPricingConfig().hoodTypes;
+
+    setHTML('hoodLineRows', state.hoodLines.map((line, index) => {
+        const hoodType = hoodTypes.find(type => type.id === line.hoodTypeId);
+        const options = hoodTypes.map(type =>
+            `<option value="${escapeHTML(type.id)}"${type === hoodType ? ' selected' : ''}>${escapeHTML(type.name)}</option>`
+        ).join('') + (hoodType ? '' : `<option value="${escapeHTML(line.hoodTypeId)}" selected>Unknown hood type</option>`);
+        const perLinearFoot = hoodType && hoodType.pricing === 'linearFoot';
+
+        return `<tr data-index="${index}">
+            <td><select data-key="hoodTypeId" aria-label="Hood type">${options}</select></td>
+            <td><input type="number" data-key="quantity" min="0" step="1" value="${line.quantity}" aria-label="Hoods"></td>
+            <td><input type="number" data-key="linearFeet" min="0" step="0.5" value="${perLinearFoot ? line.linearFeet : ''}"
+                ${perLinearFoot ? '' : 'disabled placeholder="Flat"'} aria-label="Linear feet per hood"></td>
+            <td><input type="number" data-key="frequency" min="1" step="1" value="${line.frequency}" aria-label="Cleanings"></td>
+            <td data-amount>${formatCurrency(0)}</td>
+            <td><button type="button" class="btn btn-small btn-danger" data-remove-hood-line aria-label="Remove hood">
+                <i class="fas fa-times" aria-hidden="true"></i></button></td>
+        </tr>`;
+    }).join(''));
+
+    $('addHoodLineBtn').disabled = hoodTypes.length === 0;
+    updateLineAmounts('hoodLineRows', state.results.hoodLines);
+}
+
+/**
+ * Update a hood line from one of its fields
+ * @param {HTMLElement} field - Hood line input or select
+ */
+function updateHoodLine(field) {
+    const line = state.hoodLines[parseInt(field.closest('tr').dataset.index)];
+    if (!line) return;
+
+    const key = field.dataset.key;
+    if (key === 'hoodTypeId') {
+        line.hoodTypeId = field.value;
+        // Enable or disable linear feet for the new hood type
+        renderHoodLines();
+    } else if (key === 'frequency') {
+        line.frequency = Math.max(1, parseInt(field.value) || 1);
+    } else if (key === 'quantity') {
+        line.quantity = Math.max(0, parseInt(field.value) || 0);
+    } else {
+        line.linearFeet = Math.max(0, parseFloat(field.value) || 0);
+    }
+
+    validateCrewWithHoods();
+    saveSnapshot();
+    calculateAll();
+}
+
+/**
+ * Add a line for the first hood type
+ */
+function addHoodLine() {
+    const [hoodType] = getPricingConfig().hoodTypes;
+    if (!hoodType) return;
+
+    state.hoodLines.push({ hoodTypeId: hoodType.id, quantity: 1, linearFeet: 0, frequency: 1 });
+    renderHoodLines();
+    saveSnapshot();
+    calculateAll();
+}
+
+/**
+ * Remove a hood line
+ * @param {number} index - Line index
+ */
+function removeHoodLine(index) {
+    state.hoodLines.splice(index, 1);
+    renderHoodLines();
+    validateCrewWithHoods();
+    saveSnapshot();
+    calculateAll();
+}
+
+/**
+ * Show each quote line's priced amount from the last calculation
+ * @param {string} tbodyId - Line table body
+ * @param {Array} pricedLines - Priced lines from the results (each with its line index)
+ */
+function updateLineAmounts(tbodyId, pricedLines = []) {
+    document.querySelectorAll(`#${tbodyId} tr`).forEach(tr => {
+        const priced = pricedLines.find(line => line.index === parseInt(tr.dataset.index));
+        tr.querySelector('[data-amount]').textContent = formatCurrency(priced ? priced.amount : 0);
+    });
+}
+
+/**
+ * Render the crew, hood and add-on service lines and the proposal tiers for the pricing rates
+ */
+function renderQuoteLines() {
+    renderCrewRows();
+    renderHoodLines();
+    renderServiceLines();
+    renderSiteSurvey();
+    renderScopeItems();
+    renderCoverageOptions();
+    renderTierRows();
+}
+
+// ===== Add-on Services =====
+
+/**
+ * Render the add-on service lines from state
+ */
+function renderServiceLines() {
+    const catalog = getPricingConfig().serviceCatalog;
+
+    setHTML('serviceLineRows', state.serviceLines.map((line, index) => {
+        const service = catalog.find(item => item.id === line.serviceId);
+        const options = catalog.map(item =>
+            `<option value="${escapeHTML(item.id)}"${item === service ? ' selected' : ''}>${escapeHTML(item.name)}</option>`
+        ).join('') + (service ? '' : `<option value="${escapeHTML(line.serviceId)}" selected>Unknown service</option>`);
+
+        return `<tr data-index="${index}">
+            <td><select data-key="serviceId" aria-label="Service">${options}</select></td>
+            <td><input type="number" data-key="quantity" min="0" step="any" value="${line.quantity}" aria-label="Quantity"></td>
+            <td>${service ? `${formatCurrency(service.unitPrice)} / ${escapeHTML(service.unit)}` : '—'}</td>
+            <td data-amount>${formatCurrency(0)}</td>
+            <td><button type="button" class="btn btn-small btn-danger" data-remove-service-line aria-label="Remove service">
+                <i class="fas fa-times" aria-hidden="true"></i></button></td>
+        </tr>`;
+    }).join(''));
+
+    $('addServiceLineBtn').disabled = catalog.length === 0;
+    updateLineAmounts('serviceLineRows', state.results.serviceLines);
+}
+
+/**
+ * Update a service line from one of its fields
+ * @param {HTMLElement} field - Service line input or select
+ */
+function updateServiceLine(field) {
+    const line = state.serviceLines[parseInt(field.closest('tr').dataset.index)];
+    if (!line) return;
+
+    if (field.dataset.key === 'serviceId') {
+        line.serviceId = field.value;
+        // Refresh the unit price for the new service
+        renderServiceLines();
+    } else {
+        line.quantity = Math.max(0, parseFloat(field.value) || 0);
+    }
+
+    validateCrewWithHoods();
+    saveSnapshot();
+    calculateAll();
+}
+
+/**
+ * Add a line for the first catalog service
+ */
+function addServiceLine() {
+    const [service] = getPricingConfig().serviceCatalog;
+    if (!service) return;
+
+    state.serviceLines.push({ serviceId: service.id, quantity: 1 });
+    renderServiceLines();
+    saveSnapshot();
+    calculateAll();
+}
+
+/**
+ * Remove a service line
+ * @param {number} index - Line index
+ */
+function removeServiceLine(index) {
+    state.serviceLines.splice(index, 1);
+    renderServiceLines();
+    validateCrewWithHoods();
+    saveSnapshot();
+    calculateAll();
+}
+
+// ===== Site Survey =====
+
+/**
+ * Render the site survey from state, with the floor types, soil levels and
+ * appliances of the pricing rates
+ */
+function renderSiteSurvey() {
+    const config = getPricingConfig();
+    const survey = state.siteSurvey;
+
+    $('surveySquareFeet').value = survey.squareFeet;
+    renderSelectOptions($('surveyFloorType'), config.floorTypes.map(type => ({ value: type.id, label: type.name })),
+        survey.floorTypeId);
+    renderSelectOptions($('surveySoilLevel'), config.soilLevels.map(level => ({ value: level.id, label: level.name })),
+        survey.soilLevelId);
+
+    setHTML('surveyAppliances', config.applianceRates.map(rate => `
+        <div class="input-field">
+            <label for="surveyAppliance-${escapeHTML(rate.id)}">${escapeHTML(rate.name)}</label>
+            <input type="number" id="surveyAppliance-${escapeHTML(rate.id)}" data-appliance-id="${escapeHTML(rate.id)}"
+                min="0" step="1" value="${survey.appliances[rate.id] || 0}">
+        </div>`).join('') || '<div class="help-text">No appliances in the production rates.</div>');
+
+    renderSurveyEstimate();
+}
+
+/**
+ * Show the labor estimate for the site survey and suggest it as the crew
+ */
+function renderSurveyEstimate() {
+    const estimate = estimateSurveyLabor(state.siteSurvey, getPricingConfig());
+    const hours = value => `${Math.round(value * 100) / 100} hrs`;
+
+    const lines = [];
+    if (estimate.floorHours) {
+        lines.push(`Floors: ${state.siteSurvey.squareFeet} sq ft of ${escapeHTML(estimate.floorType.name.toLowerCase())} at ` +
+            `${estimate.floorType.sqFtPerHour} sq ft/hr = ${hours(estimate.floorHours)}`);
+    }
+    estimate.applianceLines.forEach(line => lines.push(
+        `${escapeHTML(line.name)}: ${line.count} × ${line.minutesEach} min = ${hours(line.hours)}`));
+    if (lines.length && estimate.multiplier !== 1) lines.push(`Soil level: × ${estimate.multiplier}`);
+
+    setHTML('surveyEstimateDetails', lines.join('<br>') || 'Enter the kitchen size or appliance counts to estimate the labor.');
+    setContent('surveyEstimateTotal', estimate.totalHours ?
+        `${hours(estimate.totalHours)} of labor: ${estimate.crewSize} ${estimate.crewSize === 1 ? 'person' : 'people'} × ` +
+        `${estimate.hoursPerPerson} hrs per day` : '—');
+
+    $('surveyCrewSize').placeholder = estimate.crewSize || '';
+    $('surveyHoursPerPerson').placeholder = estimate.hoursPerPerson || '';
+    $('applySurveyBtn').disabled = !estimate.totalHours;
+}
+
+/**
+ * Save the survey to the undo history once typing pauses
+ */
+const saveSurveyEdit = debounce(saveSnapshot, 300);
+
+/**
+ * Update the site survey from one of its fields
+ * @param {HTMLElement} field - Survey input or select
+ */
+function updateSiteSurvey(field) {
+    const survey = state.siteSurvey;
+
+    if (field.dataset.applianceId) {
+        survey.appliances = { ...survey.appliances, [field.dataset.applianceId]: Math.max(0, parseInt(field.value) || 0) };
+    } else if (field.id === 'surveySquareFeet') {
+        survey.squareFeet = Math.max(0, parseFloat(field.value) || 0);
+    } else if (field.id === 'surveyFloorType') {
+        survey.floorTypeId = field.value;
+    } else if (field.id === 'surveySoilLevel') {
+        survey.soilLevelId = field.value;
+    } else {
+        return;
+    }
+
+    renderSurveyEstimate();
+    saveSurveyEdit();
+}
+
+/**
+ * Put the survey estimate, or the rep's override of it, into the crew. Rows
+ * other than the largest (the last of equal rows) keep their headcount where it
+ * fits; the largest row takes the rest, and every row works the estimated hours
+ * per person.
+ */
+function applySurveyEstimate() {
+    const estimate = estimateSurveyLabor(state.siteSurvey, getPricingConfig());
+    const crewSize = parseInt($('surveyCrewSize').value) || estimate.crewSize;
+    const hours = parseFloat($('surveyHoursPerPerson').value) || estimate.hoursPerPerson;
+
+    if (crewSize < 1 || hours <= 0) {
+        showNotification('Enter a crew size and hours per person, or complete the survey.', 'error');
+        return;
+    }
+
+    const roles = getPricingConfig().crewRoles;
+    if (!state.crew.length && !roles.length) {
+        showNotification('Add a crew role in the Configuration tab before applying the estimate.', 'error');
+        return;
+    }
+
+    const crew = state.crew.length ? state.crew :
+        [{ roleId: roles[0].id, count: 0, hours, payRate: null }];
+    const main = crew.reduce((largest, row) => (row.count >= largest.count ? row : largest));
+
+    let remaining = crewSize;
+    crew.forEach(row => {
+        if (row === main) return;
+        row.count = Math.min(row.count, remaining - 1);
+        remaining -= row.count;
+    });
+    main.count = remaining;
+    crew.forEach(row => { row.hours = hours; });
+    state.crew = crew.filter(row => row.count > 0);
+
+    $('surveyCrewSize').value = '';
+    $('surveyHoursPerPerson').value = '';
+    renderCrewRows();
+    validateCrewWithHoods();
+    saveSnapshot();
+    calculateAll();
+    showNotification(`Crew set to ${crewSize} ${crewSize === 1 ? 'person' : 'people'} × ${hours} hrs per day from the site survey.`,
+        'success');
+}
+
+// ===== Scope of Work =====
+
+// Areas of the scope of work, in the order the proposal lists them
+const SCOPE_AREAS = [
+    { value: 'hood', label: 'Hood' },
+    { value: 'line-equipment', label: 'Line Equipment' },
+    { value: 'floors', label: 'Floors' },
+    { value: 'walls', label: 'Walls' },
+    { value: 'walk-ins', label: 'Walk-ins' },
+    { value: 'restrooms', label: 'Restrooms' },
+    { value: 'other', label: 'Other' }
+];
+
+// How often a scope task is done
+const SCOPE_FREQUENCIES = [
+    { value: 'every-visit', label: 'Every visit' },
+    { value: 'daily', label: 'Daily' },
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'quarterly', label: 'Quarterly' },
+    { value: 'annually', label: 'Annually' },
+    { value: 'as-needed', label: 'As needed' }
+];
+
+/**
+ * Get the label of a scope area or frequency option
+ * @param {Array} options - SCOPE_AREAS or SCOPE_FREQUENCIES
+ * @param {string} value - Option value
+ * @returns {string} - Option label, or the value when it is not listed
+ */
+const getScopeLabel = (options, value) => (options.find(option => option.value === value) || { label: value }).label;
+
+/**
+ * Total the estimated labor hours per visit of the scope tasks
+ * @param {Array} [items=state.scopeItems] - Scope items
+ * @returns {number} - Labor hours
+ */
+const getScopeHours = (items = state.scopeItems) => items.reduce((sum, item) => sum + (item.hours || 0), 0);
+
+/**
+ * Fill the task picker with the library tasks of the chosen area
+ */
+function renderScopeTaskOptions() {
+    const area = $('scopeAreaSelect').value;
+    const tasks = getPricingConfig().scopeTasks.filter(task => task.area === area);
+
+    renderSelectOptions($('scopeTaskSelect'), [
+        ...tasks.map(task => ({ value: task.id, label: task.name })),
+        { value: 'custom', label: 'Custom task' }
+    ]);
+    $('addScopeAreaBtn').disabled = tasks.length === 0;
+}
+
+/**
+ * Render the scope of work tasks from state
+ */
+function renderScopeItems() {
+    renderSelectOptions($('scopeAreaSelect'), SCOPE_AREAS);
+
+    const select = (key, options, value, label) => `<select data-key="${key}" aria-label="${label}">${options.map(option =>
+        `<option value="${escapeHTML(option.value)}"${option.value === value ? ' selected' : ''}>${escapeHTML(option.label)}</option>`
+    ).join('')}</select>`;
+
+    setHTML('scopeRows', state.scopeItems.map((item, index) => `<tr data-index="${index}">
+        <td>${select('area', SCOPE_AREAS, item.area, 'Area')}</td>
+        <td><input type="text" data-key="name" value="${escapeHTML(item.name)}" placeholder="Describe the task" aria-label="Task"></td>
+        <td>${select('frequency', SCOPE_FREQUENCIES, item.frequency, 'Frequency')}</td>
+        <td><input type="number" data-key="hours" min="0" step="0.25" value="${item.hours}" aria-label="Estimated hours"></td>
+        <td><input type="text" data-key="notes" value="${escapeHTML(item.notes)}" placeholder="Optional" aria-label="Notes"></td>
+        <td><button type="button" class="btn btn-small btn-danger" data-remove-scope-item aria-label="Remove task">
+            <i class="fas fa-times" aria-hidden="true"></i></button></td>
+    </tr>`).join(''));
+
+    renderScopeTaskOptions();
+    updateScopeSummary();
+}
+
+/**
+ * Show the number of scope tasks and their estimated hours
+ */
+function updateScopeSummary() {
+    const hours = getScopeHours();
+    const count = state.scopeItems.length;
+
+    setContent('scopeHoursSummary', count ?
+        `${count} ${count === 1 ? 'task' : 'tasks'}, about ${Math.round(hours * 100) / 100} labor hours per visit` :
+        'No tasks yet. Pick an area and add tasks from the library, or add a custom task.');
+    $('applyScopeHoursBtn').disabled = hours === 0;
+}
+
+/**
+ * Save the scope to the undo history once typing pauses
+ */
+const saveScopeEdit = debounce(saveSnapshot, 300);
+
+/**
+ * Update a scope task from one of its fields
+ * @param {HTMLElement} field - Scope task input or select
+ */
+function updateScopeItem(field) {
+    const item = state.scopeItems[parseInt(field.closest('tr').dataset.index)];
+    if (!item) return;
+
+    const { key } = field.dataset;
+    item[key] = key === 'hours' ? Math.max(0, parseFloat(field.value) || 0) : field.value;
+
+    updateScopeSummary();
+    saveScopeEdit();
+}
+
+/**
+ * Add a scope task for the chosen area: the chosen library task or a blank custom task
+ */
+function addScopeTask() {
+    const area = $('scopeAreaSelect').value;
+    const task = getPricingConfig().scopeTasks.find(t => t.id === $('scopeTaskSelect').value);
+
+    if (task && state.scopeItems.some(item => item.taskId === task.id)) {
+        showNotification(`"${escapeHTML(task.name)}" is already in the scope.`, 'info');
+        return;
+    }
+
+    state.scopeItems.push(task ?
+        { id: generateId('t-'), area, taskId: task.id, name: task.name, frequency: task.frequency, hours: task.hours, notes: '' } :
+        { id: generateId('t-'), area, taskId: null, name: '', frequency: 'every-visit', hours: 0, notes: '' });
+    renderScopeItems();
+    saveSnapshot();
+
+    if (!task) document.querySelector('#scopeRows tr:last-child [data-key="name"]').focus();
+}
+
+/**
+ * Add every library task of the chosen area that is not in the scope yet
+ */
+function addScopeArea() {
+    const area = $('scopeAreaSelect').value;
+    const tasks = getPricingConfig().scopeTasks.filter(task =>
+        task.area === area && !state.scopeItems.some(item => item.taskId === task.id));
+
+    tasks.forEach(task => state.scopeItems.push({
+        id: generateId('t-'), area, taskId: task.id, name: task.name, frequency: task.frequency, hours: task.hours, notes: ''
+    }));
+    renderScopeItems();
+    saveSnapshot();
+    showNotification(`Added ${tasks.length} ${getScopeLabel(SCOPE_AREAS, area).toLowerCase()} tasks.`, 'success');
+}
+
+/**
+ * Remove a scope task
+ * @param {number} index - Task index
+ */
+function removeScopeItem(index) {
+    state.scopeItems.splice(index, 1);
+    renderScopeItems();
+    saveSnapshot();
+}
+
+/**
+ * Set every crew row's hours per day so the crew covers the scope's estimated
+ * hours, rounded up to the quarter hour
+ */
+function applyScopeHours() {
+    const headcount = getCrewHeadcount(state.crew);
+    if (!headcount) {
+        showNotification('Add crew members before setting their hours from the scope.', 'error');
+        return;
+    }
+
+    const hours = Math.ceil(getScopeHours() / headcount * 4) / 4;
+    state.crew.forEach(row => { row.hours = hours; });
+    renderCrewRows();
+    saveSnapshot();
+    calculateAll();
+    showNotification(`Crew hours set to ${hours} per person per day from the scope of work.`, 'success');
+}
+
+/**
+ * Build the numbered scope of work for the quote document, grouped by area
+ * @returns {Array} - Line items ({ description, details, amount: null, indent })
+ */
+function getScopeLineItems() {
+    const items = [];
+    let number = 0;
+    // Tasks of an area that is no longer listed go under Other
+    const areaOf = item => (SCOPE_AREAS.some(area => area.value === item.area) ? item.area : 'other');
+
+    SCOPE_AREAS.forEach(area => {
+        const tasks = state.scopeItems.filter(item => areaOf(item) === area.value && item.name.trim());
+        if (!tasks.length) return;
+
+        items.push({ description: area.label, details: '', amount: null, indent: false });
+        tasks.forEach(task => items.push({
+            description: `${++number}. ${task.name}`,
+            details: [getScopeLabel(SCOPE_FREQUENCIES, task.frequency), task.notes].filter(Boolean).join(' - '),
+            amount: null,
+            indent: true
+        }));
+    });
+
+    return items;
+}
+
+// ===== Proposal Tiers =====
+
+const MAX_TIERS = 3;
+const TIER_NAMES = ['Good', 'Better', 'Best'];
+
+/**
+ * Price every proposal tier through the quote engine
+ * @returns {Array} - Tiers with their results ({ tier, inputs, results })
+ */
+function getTierResults() {
+    const baseInputs = getQuoteInputs();
+    const config = getPricingConfig();
+
+    return state.tiers.map(tier => {
+        const inputs = applyTierOverrides(baseInputs, tier);
+        return { tier, inputs, results: computeQuote(inputs, config, state.options) };
+    });
+}
+
+/**
+ * Describe what a tier includes, for the proposal
+ * @param {Object} tier - Tier
+ * @param {Object} inputs - Inputs the tier is priced with
+ * @returns {string} - Summary (e.g. "Kitchen clean, 2 days; hood cleaning, 12 cleanings")
+ */
+function getTierSummary(tier, inputs) {
+    const parts = [`Kitchen clean, ${inputs.days} ${inputs.days === 1 ? 'day' : 'days'}`];
+
+    if (inputs.hoodLines.length) {
+        const frequencies = [...new Set(inputs.hoodLines.map(line => line.frequency))];
+        parts.push(`hood cleaning, ${frequencies.join('/')} ${frequencies.length === 1 && frequencies[0] === 1 ? 'cleaning' : 'cleanings'}`);
+    }
+    if (inputs.serviceLines.length) {
+        const catalog = getPricingConfig().serviceCatalog;
+        parts.push(inputs.serviceLines.map(line => {
+            const service = catalog.find(item => item.id === line.serviceId);
+            return service ? service.name.toLowerCase() : 'add-on service';
+        }).join(', '));
+    }
+
+    const summary = parts.join('; ');
+    return tier.description ? `${tier.description}. ${summary}` : summary;
+}
+
+/**
+ * Render the proposal tier rows from state
+ */
+function renderTierRows() {
+    setHTML('tierRows', state.tiers.map((tier, index) => {
+        const isAccepted = tier.id === state.acceptedTierId;
+        return `<tr data-index="${index}"${isAccepted ? ' class="accepted-tier"' : ''}>
+            <td><input type="text" data-key="name" value="${escapeHTML(tier.name)}" aria-label="Tier name"></td>
+            <td><input type="text" data-key="description" value="${escapeHTML(tier.description)}" placeholder="Optional" aria-label="Tier description"></td>
+            <td class="centered"><input type="checkbox" data-key="includeHoods"${tier.includeHoods ? ' checked' : ''} aria-label="Include hood cleaning"></td>
+            <td class="centered"><input type="checkbox" data-key="includeServices"${tier.includeServices ? ' checked' : ''} aria-label="Include add-on services"></td>
+            <td><input type="number" data-key="hoodFrequency" min="1" step="1" value="${tier.hoodFrequency || ''}" placeholder="As quoted" aria-label="Hood cleanings"></td>
+            <td><input type="number" data-key="days" min="1" step="1" value="${tier.days || ''}" placeholder="As quoted" aria-label="Days"></td>
+            <td data-amount>${formatCurrency(0)}</td>
+            <td><button type="button" class="btn btn-small${isAccepted ? ' btn-primary' : ''}" data-accept-tier aria-pressed="${isAccepted}">
+                ${isAccepted ? '<i class="fas fa-check" aria-hidden="true"></i> Accepted' : 'Mark accepted'}</button></td>
+            <td><button type="button" class="btn btn-small btn-danger" data-remove-tier aria-label="Remove tier">
+                <i class="fas fa-times" aria-hidden="true"></i></button></td>
+        </tr>`;
+    }).join(''));
+
+    $('addTierBtn').disabled = state.tiers.length >= MAX_TIERS;
+    updateTierPrices();
+}
+
+/**
+ * Show the grand total of each tier
+ */
+function updateTierPrices() {
+    const rows = document.querySelectorAll('#tierRows tr');
+    getTierResults().forEach(({ results }, index) => {
+        const cell = rows[index] && rows[index].querySelector('[data-amount]');
+        if (cell) cell.textContent = formatCurrency(results.grandTotal);
+    });
+}
+
+/**
+ * Update a tier from one of its fields
+ * @param {HTMLElement} field - Tier input
+ */
+function updateTierRow(field) {
+    const tier = state.tiers[parseInt(field.closest('tr').dataset.index)];
+    if (!tier) return;
+
+    const { key } = field.dataset;
+    if (field.type === 'checkbox') {
+        tier[key] = field.checked;
+    } else if (field.type === 'number') {
+        tier[key] = Math.max(0, parseInt(field.value) || 0) || null;
+    } else {
+        tier[key] = field.value;
+    }
+
+    refreshTierPrices();
+}
+
+/**
+ * Reprice the tiers once typing pauses
+ */
+const refreshTierPrices = debounce(() => {
+    saveSnapshot();
+    updateTierPrices();
+}, 300);
+
+/**
+ * Add a tier, named after the next of Good, Better and Best
+ */
+function addTierRow() {
+    if (state.tiers.length >= MAX_TIERS) return;
+
+    state.tiers.push({
+        id: generateId('t-'),
+        name: TIER_NAMES[state.tiers.length],
+        description: '',
+        includeHoods: true,
+        includeServices: true,
+        hoodFrequency: null,
+        days: null
+    });
+    renderTierRows();
+    saveSnapshot();
+}
+
+/**
+ * Remove a tier
+ * @param {number} index - Tier index
+ */
+function removeTierRow(index) {
+    const [removed] = state.tiers.splice(index, 1);
+    if (removed && removed.id === state.acceptedTierId) state.acceptedTierId = null;
+    renderTierRows();
+    saveSnapshot();
+}
+
+/**
+ * Record the tier the customer accepted, or clear it when it is already accepted
+ * @param {number} index - Tier index
+ */
+function toggleAcceptedTier(index) {
+    const tier = state.tiers[index];
+    if (!tier) return;
+
+    state.acceptedTierId = tier.id === state.acceptedTierId ? null : tier.id;
+    renderTierRows();
+    saveSnapshot();
+    updateActiveQuoteLabel();
+
+    if (state.acceptedTierId) {
+        showNotification(`Recorded "${escapeHTML(tier.name)}" as the accepted tier. Save the quote to keep it.`, 'success');
+    }
+}
+
+// ===== Configuration Tables =====
+
+/**
+ * Editable list settings on the Configuration tab. Each entry maps a config key
+ * to the container it is edited in, its columns and the values for a new row.
+ */
+const CONFIG_TABLES = {
+    crewRoles: {
+        containerId: 'crewRolesTable',
+        label: 'crew role',
+        minRows: 1,
+        columns: [
+            { key: 'name', label: 'Role', type: 'text' },
+            { key: 'payRate', label: 'Pay Rate ($/hr)', type: 'number', min: 0, step: 0.01 },
+            {
+                key: 'workCompClassId', label: "Workers' Comp Class", type: 'select',
+                options: () => getWorkCompClassOptions(state.config.workCompClasses)
+            }
+        ],
+        newRow: () => ({ name: 'New Role', payRate: 16, workCompClassId: null })
+    },
+    transportZones: {
+        containerId: 'transportZonesTable',
+        label: 'transport zone',
+        minRows: 1,
+        columns: [
+            { key: 'name', label: 'Zone', type: 'text' },
+            { key: 'ratePerDay', label: 'Rate ($/day)', type: 'number', min: 0, step: 1 },
+            { key: 'maxMiles', label: 'Up to (miles)', type: 'number', min: 0, step: 1, optional: true, placeholder: 'No limit' },
+            {
+                key: 'discounts', label: 'Long-contract discounts', type: 'text', placeholder: 'e.g. 7:20, 21:44',
+                format: formatDiscountSchedule, parse: parseDiscountSchedule
+            }
+        ],
+        newRow: () => ({ name: 'New Zone', ratePerDay: 150, maxMiles: null, discounts: [] })
+    },
+    markupCurve: {
+        containerId: 'markupCurveTable',
+        label: 'markup breakpoint',
+        minRows: 1,
+        rowIds: false,
+        columns: [
+            { key: 'days', label: 'Contract Length (days)', type: 'number', min: 1, step: 1 },
+            { key: 'markupPerc', label: 'Markup (%)', type: 'number', min: 0, step: 1 }
+        ],
+        newRow: () => ({ days: 60, markupPerc: 30 })
+    },
+    payrollBurden: {
+        containerId: 'payrollBurdenTable',
+        label: 'burden component',
+        columns: [
+            { key: 'name', label: 'Component', type: 'text' },
+            { key: 'ratePerc', label: 'Rate (%)', type: 'number', min: 0, step: 0.01 },
+            { key: 'wageBaseCap', label: 'Wage Base Cap ($)', type: 'number', min: 0, step: 1, optional: true, placeholder: 'No cap' }
+        ],
+        newRow: () => ({ name: 'New Component', ratePerc: 0, wageBaseCap: null })
+    },
+    workCompClasses: {
+        containerId: 'workCompClassesTable',
+        label: "workers' comp class",
+        minRows: 1,
+        columns: [
+            { key: 'code', label: 'Class Code', type: 'text', placeholder: 'e.g. 9014' },
+            { key: 'name', label: 'Description', type: 'text' },
+            { key: 'ratePer100', label: 'Rate (per $100 labor)', type: 'number', min: 0, step: 0.01 }
+        ],
+        newRow: () => ({ code: '', name: 'New Class', ratePer100: 1.88 })
+    },
+    coverageOptions: {
+        containerId: 'coverageOptionsTable',
+        label: 'coverage option',
+        columns: [
+            { key: 'name', label: 'Coverage', type: 'text' },
+            { key: 'premium', label: 'Premium per Job ($)', type: 'number', min: 0, step: 0.01 }
+        ],
+        newRow: () => ({ name: 'New Coverage', premium: 100 })
+    },
+    hoodTypes: {
+        containerId: 'hoodTypesTable',
+        label: 'hood type',
+        columns: [
+            { key: 'name', label: 'Hood Type', type: 'text' },
+            {
+                key: 'pricing', label: 'Priced', type: 'select',
+                options: () => [{ value: 'flat', label: 'Per hood' }, { value: 'linearFoot', label: 'Per linear foot' }]
+            },
+            { key: 'price', label: 'Price ($)', type: 'number', min: 0, step: 0.01 }
+        ],
+        newRow: () => ({ name: 'New Hood Type', pricing: 'flat', price: 500 })
+    },
+    hoodFrequencyDiscounts: {
+        containerId: 'hoodFrequencyDiscountsTable',
+        label: 'discount tier',
+        rowIds: false,
+        columns: [
+            { key: 'frequency', label: 'From (cleanings)', type: 'number', min: 1, step: 1 },
+            { key: 'discountPerc', label: 'Discount (%)', type: 'number', min: 0, step: 0.5 }
+        ],
+        newRow: () => ({ frequency: 6, discountPerc: 30 })
+    },
+    serviceCatalog: {
+        containerId: 'serviceCatalogTable',
+        label: 'service',
+        columns: [
+            { key: 'name', label: 'Service', type: 'text' },
+            { key: 'unit', label: 'Unit', type: 'text', placeholder: 'e.g. fan' },
+            { key: 'unitPrice', label: 'Unit Price ($)', type: 'number', min: 0, step: 0.01 },
+            { key: 'laborPerc', label: 'Labor %', type: 'number', min: 0, step: 1 },
+            { key: 'materialPerc', label: 'Material %', type: 'number', min: 0, step: 1 }
+        ],
+        newRow: () => ({ name: 'New Service', unit: 'unit', unitPrice: 100, laborPerc: 40, materialPerc: 10 })
+    },
+    scopeTasks: {
+        containerId: 'scopeTasksTable',
+        label: 'scope task',
+        columns: [
+            { key: 'area', label: 'Area', type: 'select', options: () => SCOPE_AREAS },
+            { key: 'name', label: 'Task', type: 'text' },
+            { key: 'frequency', label: 'Frequency', type: 'select', options: () => SCOPE_FREQUENCIES },
+            { key: 'hours', label: 'Est. Hours per Visit', type: 'number', min: 0, step: 0.25 }
+        ],
+        newRow: () => ({ area: 'other', name: 'New Task', frequency: 'every-visit', hours: 0.5 })
+    },
+    floorTypes: {
+        containerId: 'floorTypesTable',
+        label: 'floor type',
+        minRows: 1,
+        columns: [
+            { key: 'name', label: 'Floor Type', type: 'text' },
+            { key: 'sqFtPerHour', label: 'Sq Ft per Labor Hour', type: 'number', min: 1, step: 1 }
+        ],
+        newRow: () => ({ name: 'New Floor Type', sqFtPerHour: 600 })
+    },
+    applianceRates: {
+        containerId: 'applianceRatesTable',
+        label: 'appliance',
+        columns: [
+            { key: 'name', label: 'Appliance', type: 'text' },
+            { key: 'minutesEach', label: 'Minutes Each', type: 'number', min: 0, step: 1 }
+        ],
+        newRow: () => ({ name: 'New Appliance', minutesEach: 20 })
+    },
+    soilLevels: {
+        containerId: 'soilLevelsTable',
+        label: 'soil level',
+        minRows: 1,
+        columns: [
+            { key: 'name', label: 'Soil Level', type: 'text' },
+            { key: 'multiplier', label: 'Labor Multiplier', type: 'number', min: 0, step: 0.05 }
+        ],
+        newRow: () => ({ name: 'New Soil Level', multiplier: 1 })
+    }
+};
+
+/**
+ * Format a discount schedule as "afterDays:percent" pairs
+ * @param {Array} tiers - Discount tiers ({ afterDays, discountPerc })
+ * @returns {string} - e.g. "7:20, 21:44"
+ */
+function formatDiscountSchedule(tiers) {
+    return (tiers || []).map(tier => `${tier.afterDays}:${tier.discountPerc}`).join(', ');
+}
+
+/**
+ * Parse "afterDays:percent" pairs into a discount schedule
+ * @param {string} text - e.g. "7:20, 21:44"
+ * @returns {Array} - Discount tiers sorted by afterDays
+ */
+function parseDiscountSchedule(text) {
+    return String(text).split(',')
+        .map(pair => pair.split(':').map(part => parseFloat(part)))
+        .filter(([afterDays, discountPerc]) => !isNaN(afterDays) && !isNaN(discountPerc))
+        .map(([afterDays, discountPerc]) => ({ afterDays, discountPerc: Math.min(100, Math.max(0, discountPerc)) }))
+        .sort((a, b) => a.afterDays - b.afterDays);
+}
+
+/**
+ * Build the HTML for one editable configuration table row
+ * @param {string} key - CONFIG_TABLES key
+ * @param {Object} row - Row values
+ * @returns {string} - Table row HTML
+ */
+function renderConfigTableRow(key, row) {
+    const cells = CONFIG_TABLES[key].columns.map(column => {
+        const value = column.format ? column.format(row[column.key]) : row[column.key];
+        const label = `aria-label="${escapeHTML(column.label)}"`;
+
+        if (column.type === 'select') {
+            const options = column.options().map(option =>
+                `<option value="${escapeHTML(option.value)}"${option.value === value ? ' selected' : ''}>${escapeHTML(option.label)}</option>`
+            ).join('');
+            return `<td><select data-key="${column.key}" ${label}>${options}</select></td>`;
+        }
+
+        let attributes = '';
+        if (column.type === 'number') {
+            if (column.min !== undefined) attributes += ` min="${column.min}"`;
+            attributes += ` step="${column.step || 'any'}"`;
+        }
+
+        return `<td><input type="${column.type}" data-key="${column.key}" value="${escapeHTML(value ?? '')}"` +
+            ` placeholder="${escapeHTML(column.placeholder || '')}"${attributes} ${label}></td>`;
+    }).join('');
+
+    return `<tr data-id="${escapeHTML(row.id || generateId())}">${cells}<td>` +
+        `<button type="button" class="btn btn-small btn-danger" data-remove-row aria-label="Remove ${CONFIG_TABLES[key].label}">` +
+        '<i class="fas fa-times" aria-hidden="true"></i></button></td></tr>';
+}
+
+/**
+ * Render an editable configuration table
+ * @param {string} key - CONFIG_TABLES key
+ * @param {Array} rows - Rows to show
+ */
+function renderConfigTable(key, rows) {
+    const header = CONFIG_TABLES[key].columns.map(column => `<th>${escapeHTML(column.label)}</th>`).join('');
+    setHTML(CONFIG_TABLES[key].containerId, `
+        <table class="config-table">
+            <thead><tr>${header}<th></th></tr></thead>
+            <tbody>${rows.map(row => renderConfigTableRow(key, row)).join('')}</tbody>
+        </table>
+    `);
+}
+
+/**
+ * Render every configuration table from the active profile
+ */
+function renderConfigTables() {
+    Object.keys(CONFIG_TABLES).forEach(key => renderConfigTable(key, state.config[key] || []));
+    renderMarkupCurveChart(state.config.markupCurve);
+    renderSelectOptions($('hoodWorkCompClass'), getWorkCompClassOptions(state.config.workCompClasses),
+        getWorkCompClass(state.config.workCompClasses, state.config.hoodWorkCompClassId)?.id);
+}
+
+/**
+ * Build select options for workers' comp classes
+ * @param {Array} classes - Workers' comp classes
+ * @returns {Array} - Options ({ value, label })
+ */
+function getWorkCompClassOptions(classes) {
+    return classes.map(wcClass => ({ value: wcClass.id, label: describeWorkCompClass(wcClass) }));
+}
+
+/**
+ * Replace the options of a select, keeping its value when it is still offered
+ * and selecting the first option otherwise
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {Array} options - Options ({ value, label })
+ * @param {string} [value=select.value] - Value to select
+ */
+function renderSelectOptions(select, options, value = select.value) {
+    select.innerHTML = options.map(option =>
+        `<option value="${escapeHTML(option.value)}">${escapeHTML(option.label)}</option>`).join('');
+    select.selectedIndex = Math.max(0, options.findIndex(option => option.value === value));
+}
+
+/**
+ * Offer the workers' comp classes being edited in the crew role and hood cleaning class selects
+ */
+function refreshWorkCompClassSelects() {
+    const options = getWorkCompClassOptions(readConfigTable('workCompClasses'));
+    document.querySelectorAll('#crewRolesTable [data-key="workCompClassId"], #hoodWorkCompClass')
+        .forEach(select => renderSelectOptions(select, options));
+}
+
+/**
+ * Draw the markup curve preview on the Configuration tab
+ * @param {Array} curve - Breakpoints ({ days, markupPerc })
+ */
+function renderMarkupCurveChart(curve) {
+    const points = curve.filter(point => point.days > 0).sort((a, b) => a.days - b.days);
+    if (!points.length) {
+        setHTML('markupCurveChart', '<div class="empty-state">Add a breakpoint to preview the curve.</div>');
+        return;
+    }
+
+    const width = 360, height = 180;
+    const plot = { left: 40, right: width - 15, top: 15, bottom: height - 30 };
+    const maxDays = Math.max(30, Math.ceil(points[points.length - 1].days * 1.2));
+    const maxMarkup = Math.max(50, Math.ceil(Math.max(...points.map(point => point.markupPerc)) / 50) * 50);
+
+    const x = days => plot.left + (days - 1) / (maxDays - 1) * (plot.right - plot.left);
+    const y = markup => plot.bottom - markup / maxMarkup * (plot.bottom - plot.top);
+
+    const line = [];
+    for (let days = 1; days <= maxDays; days++) {
+        line.push(`${x(days).toFixed(1)},${y(calculateMarkupPercentage(days, {}, points)).toFixed(1)}`);
+    }
+
+    const dots = points.map(point => `<circle cx="${x(point.days).toFixed(1)}" cy="${y(point.markupPerc).toFixed(1)}" r="3.5">` +
+        `<title>${point.days} days: ${point.markupPerc}%</title></circle>`).join('');
+
+    setHTML('markupCurveChart', `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Markup by contract length">
+            <line class="axis" x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}"></line>
+            <line class="axis" x1="${plot.left}" y1="${plot.top}" x2="${plot.left}" y2="${plot.bottom}"></line>
+            <text x="${plot.left - 6}" y="${plot.top + 4}" text-anchor="end">${maxMarkup}%</text>
+            <text x="${plot.left - 6}" y="${plot.bottom}" text-anchor="end">0%</text>
+            <text x="${plot.left}" y="${plot.bottom + 16}" text-anchor="middle">1</text>
+            <text x="${plot.right}" y="${plot.bottom + 16}" text-anchor="end">${maxDays} days</text>
+            <polyline class="curve" points="${line.join(' ')}"></polyline>
+            ${dots}
+        </svg>
+    `);
+}
+
+/**
+ * Append a new row to a configuration table
+ * @param {string} key - CONFIG_TABLES key
+ */
+function addConfigTableRow(key) {
+    const tbody = document.querySelector(`#${CONFIG_TABLES[key].containerId} tbody`);
+    if (tbody) tbody.insertAdjacentHTML('beforeend', renderConfigTableRow(key, CONFIG_TABLES[key].newRow()));
+}
+
+/**
+ * Read the rows of a configuration table back from the form
+ * @param {string} key - CONFIG_TABLES key
+ * @returns {Array} - Row values
+ */
+function readConfigTable(key) {
+    const { containerId, columns, rowIds = true } = CONFIG_TABLES[key];
+
+    return Array.from(document.querySelectorAll(`#${containerId} tbody tr`)).map(tr => {
+        const row = rowIds ? { id: tr.dataset.id } : {};
+        columns.forEach(column => {
+            let value = tr.querySelector(`[data-key="${column.key}"]`).value;
+            if (column.type === 'number') {
+                value = value === '' ? (column.optional ? null : 0) : parseFloat(value);
+            } else if (column.type === 'text') {
+                value = value.trim();
+            }
+            row[column.key] = column.parse ? column.parse(value) : value;
+        });
+        return row;
+    });
+}
+
+/**
+ * Check the configuration tables before saving
+ * @returns {string|null} - Error message, or null when every table is valid
+ */
+function validateConfigTables() {
+    for (const key of Object.keys(CONFIG_TABLES)) {
+        const { label, minRows = 0 } = CONFIG_TABLES[key];
+        const rows = readConfigTable(key);
+
+        if (rows.length < minRows) return `Add at least ${minRows} ${label} before saving.`;
+        if (rows.some(row => 'name' in row && !row.name)) return `Every ${label} needs a name.`;
+    }
+    return null;
+}
+
+/**
+ * Fill the transport zone selector and show the zone the quote is priced with
+ */
+function updateTransportZoneSelect() {
+    const select = $('transportZone');
+    const zones = getPricingConfig().transportZones;
+    const zone = state.results.transportZone || resolveTransportZone(getQuoteInputs(), getPricingConfig());
+    const byDistance = state.distanceMiles > 0;
+
+    select.innerHTML = zones.map(z =>
+        `<option value="${escapeHTML(z.id)}">${escapeHTML(z.name)} (${formatCurrency(z.ratePerDay)}/day)</option>`).join('');
+    if (zone) select.value = zone.id;
+    select.disabled = byDistance;
+
+    setContent('transportZoneHelp', byDistance && zone ?
+        `Matched by distance: ${zone.name}` :
+        'Pick the zone, or enter the distance from base to match one');
+}
+
+// ===== Update UI From State =====
+
+/**
+ * Update UI to match state values
+ */
+function updateUIFromState() {
+    // Basic fields
+    $('useSubcontractor').checked = state.useSubcontractor;
+    $('subcontractorDetails').classList.toggle('visible', state.useSubcontractor);
+    $('subcontractorCost').value = state.subcontractorCost;
+    renderQuoteLines();
+    $('days').value = state.days;
+    $('shiftStart').value = state.shiftStart;
+    document.querySelectorAll('#serviceDays [data-day]').forEach(checkbox => {
+        checkbox.checked = state.serviceDays.includes(checkbox.dataset.day);
+    });
+    $('materials').value = state.materialsPerDay;
+    $('equipment').value = state.equipmentPerDay;
+    $('isHoliday').checked = state.isHoliday;
+    $('distanceMiles').value = state.distanceMiles;
+    $('includeInsurance').checked = state.includeInsurance;
+
+    // Hood cleaning
+    $('hoodLaborCostPerc').value = state.hoodLaborCostPerc;
+    $('hoodMaterialCostPerc').value = state.hoodMaterialCostPerc;
+
+    // Config values
+    renderConfigTables();
+    $('quoteNumberPrefix').value = state.settings.quoteNumberPrefix;
+    updateNextQuoteNumberHelp();
+    renderDocumentSectionSettings();
+    renderBrandingSettings();
+    $('surveyShiftHours').value = state.config.surveyShiftHours;
+    $('glRate').value = state.config.glRate;
+    $('glMinimumPremium').value = state.config.glMinimumPremium;
+    $('overtimeDailyThreshold').value = state.config.overtime.dailyThreshold;
+    $('overtimeWeeklyThreshold').value = state.config.overtime.weeklyThreshold;
+    $('overtimeMultiplier').value = state.config.overtime.multiplier;
+    $('nightShiftStart').value = state.config.shiftDifferentials.nightStart;
+    $('nightShiftEnd').value = state.config.shiftDifferentials.nightEnd;
+    $('nightDifferentialPerc').value = state.config.shiftDifferentials.nightPerc;
+    $('weekendDifferentialPerc').value = state.config.shiftDifferentials.weekendPerc;
 
     // Update display values
-    updateHoodPriceLabels();
     updateInsuranceDetails();
 
-    // Option checkboxes
-    $('includeTransport').checked = state.options.includeTransport;
-    $('includeMaterials').checked = state.options.includeMaterials;
-    $('includeEquipment').checked = state.options.includeEquipment;
-    $('enableAutoCostOptimization').checked = state.options.enableAutoCostOptimization;
-    $('enableRounding').checked = state.options.enableRounding;
-    $('enableCommissionSplit').checked = state.options.enableCommissionSplit;
-    $('useCustomMarkup').checked = state.options.useCustomMarkup;
-    $('enableInitialFee').checked = state.options.enableInitialFee;
-    $('enableResidualPercentage').checked = state.options.enableResidualPercentage;
+    // Option checkboxes
+    $('includeTransport').checked = state.options.includeTransport;
+    $('includeMaterials').checked = state.options.includeMaterials;
+    $('includeEquipment').checked = state.options.includeEquipment;
+    $('enableAutoCostOptimization').checked = state.options.enableAutoCostOptimization;
+    $('enableRounding').checked = state.options.enableRounding;
+    $('enableCommissionSplit').checked = state.options.enableCommissionSplit;
+    $('useCustomMarkup').checked = state.options.useCustomMarkup;
+    $('enableInitialFee').checked = state.options.enableInitialFee;
+    $('enableResidualPercentage').checked = state.options.enableResidualPercentage;
+
+    // Toggle containers based on options
+    $('splitCommissionContainer').style.display = state.options.enableCommissionSplit ? 'block' : 'none';
+    $('salesCommissionRow').style.display = state.options.enableCommissionSplit ? 'none' : 'grid';
+    $('splitCommissionRows').style.display = state.options.enableCommissionSplit ? 'block' : 'none';
+    $('markupSliderContainer').style.display = state.options.useCustomMarkup ? 'block' : 'none';
+    $('initialFeeContainer').style.display = state.options.enableInitialFee ? 'block' : 'none';
+    $('residualPercentageContainer').style.display = state.options.enableResidualPercentage ? 'block' : 'none';
+
+    // Update profit option visuals
+    updateProfitOptionClasses();
+
+    // Update slider and numeric inputs
+    $('markupSlider').value = state.options.customMarkupPercentage;
+    $('markupInput').value = state.options.customMarkupPercentage;
+    $('initialFeeValue').value = state.options.initialFeeValue;
+    $('residualPercentageValue').value = state.options.residualPercentageValue;
+    $('residualPercentageDisplay').textContent = state.options.residualPercentageValue;
+    $('regularSuppliesPercentage').value = state.options.regularSuppliesPercentage;
+    $('additionalEquipmentPercentage').value = state.options.additionalEquipmentPercentage;
+    $('uniformSafetyPercentage').value = state.options.uniformSafetyPercentage;
+    $('communicationsPercentage').value = state.options.communicationsPercentage;
+    $('overheadPercentage').value = state.options.overheadPercentage;
+    $('commissionPercentage').value = state.options.commissionPercentage;
+    $('commissionPercentageDisplay').textContent = state.options.commissionPercentage;
+
+    // Update commission split inputs
+    updateCommissionSplitInputs();
+
+    // Update percentage displays
+    updatePercentageDisplays();
+
+    // Apply dark mode if enabled
+    document.body.classList.toggle('dark-mode', state.ui.isDarkMode);
+    if ($('quoteSortSelect')) $('quoteSortSelect').value = state.ui.quoteSort;
+    $('documentModeSelect').value = state.ui.documentMode;
+    renderCustomerSelectors();
+    if ($('darkModeToggle')) {
+        const icon = $('darkModeToggle').querySelector('i');
+        if (icon) icon.className = state.ui.isDarkMode ? 'fas fa-sun' : 'fas fa-moon';
+        $('darkModeToggle').setAttribute('aria-pressed', state.ui.isDarkMode);
+    }
+
+    // Update unsaved changes indicator
+    updateUnsavedChangesIndicator();
+
+    // Show which saved quote is open and which rate card prices it
+    updateActiveQuoteLabel();
+    renderProfileSelectors();
+
+    // Show the pinned scenarios
+    renderScenarios();
+}
+
+/**
+ * Describe a payroll burden component's rate and wage base cap
+ * @param {Object} component - Burden component ({ name, ratePerc, wageBaseCap })
+ * @param {boolean} [withName=true] - Whether to start with the component name
+ * @returns {string} - e.g. "FUTA 0.6% of the first $7,000.00 per employee a year"
+ */
+function describeBurdenComponent(component, withName = true) {
+    const rate = component.wageBaseCap ?
+        `${component.ratePerc}% of the first ${formatCurrency(component.wageBaseCap)} per employee a year` :
+        `${component.ratePerc}% of wages`;
+    return withName ? `${component.name} ${rate}` : rate;
+}
+
+/**
+ * Describe a workers' comp class by its code and description
+ * @param {Object} wcClass - Workers' comp class ({ code, name })
+ * @returns {string} - e.g. "9014 Janitorial Services"
+ */
+function describeWorkCompClass(wcClass) {
+    return wcClass.code ? `${wcClass.code} ${wcClass.name}` : wcClass.name;
+}
+
+/**
+ * Update UI based on subcontractor selection
+ * @param {boolean} isSubcontractor - Whether using a subcontractor
+ * @param {number} internalCost - Internal cost calculation
+ * @param {number} subcontractorCost - Subcontractor cost
+ * @param {number} extraBenefit - Extra benefit from using subcontractor
+ */
+function updateUIForSubcontractor(isSubcontractor, internalCost, subcontractorCost, extraBenefit) {
+    if (isSubcontractor) {
+        // Cross out internal costs since they're not what we'll actually pay
+        document.querySelectorAll('#laborCost, #overtimeCost, #shiftDifferentialCost, #laborTax, #workCompCost, #transportCost, #materialsCost, #equipmentCost, #hoodCleaningCost, #servicesCost')
+            .forEach(el => el.classList.add('text-crossed'));
+
+        // Explain they are reference costs for final price calculation
+        const costsText = 'Reference cost used for final price calculation';
+        setHTML('laborDetails', costsText);
+        setHTML('overtimeDetails', costsText);
+        setHTML('shiftDifferentialDetails', costsText);
+        setHTML('laborTaxDetails', costsText);
+        setHTML('workCompDetails', costsText);
+        setHTML('transportDetails', costsText);
+        setHTML('materialsDetails', costsText);
+        setHTML('equipmentDetails', costsText);
+        setHTML('hoodCleaningDetails', costsText);
+        setHTML('servicesDetails', costsText);
+
+        // Show subcontractor cost and additional benefit
+        setContent('subcontractorCostDisplay', formatCurrency(subcontractorCost));
+        setContent('extraBenefitValue', formatCurrency(extraBenefit));
+        toggleClass('extraBenefitValue', 'text-highlight', extraBenefit > 0);
+
+        // Show clearer text about savings
+        setDisplay('extraBenefitRow', true);
+        setHTML('extraBenefitDetails', 'Savings from using subcontractor instead of internal team (difference between internal costs and subcontractor cost)');
+
+        // Also show these savings in profit breakdown section
+        setDisplay('subcontractorSavingRow', true);
+        setContent('subcontractorSaving', formatCurrency(extraBenefit));
+    } else {
+        const config = getPricingConfig();
+
+        // If not using a subcontractor, remove any cross-out styling
+        document.querySelectorAll('#laborCost, #overtimeCost, #shiftDifferentialCost, #laborTax, #workCompCost, #transportCost, #materialsCost, #equipmentCost, #hoodCleaningCost, #servicesCost')
+            .forEach(el => el.classList.remove('text-crossed'));
+
+        // Labor, labor tax and workers' comp broken out per crew row
+        const { laborLines } = state.results;
+        const describeLine = line => line.count ?
+            `${line.count} ${escapeHTML(line.roleName)} at ${formatCurrency(line.payRate)}/hr × ${line.hours} hrs × ${state.days} days` :
+            escapeHTML(line.roleName);
+        const lineDetails = key => laborLines.map(line =>
+            `${describeLine(line)}: ${formatCurrency(line[key])}`).join('<br>');
+
+        setHTML('laborDetails', lineDetails('baseLaborCost'));
+
+        // Overtime and differential hours for the crew rows that have them
+        const { overtime, shiftDifferentials } = config;
+        setHTML('overtimeDetails', laborLines.filter(line => line.overtimeCost > 0).map(line =>
+            `${escapeHTML(line.roleName)}: ${line.overtimeHours} hrs at ${overtime.multiplier}× = ` +
+            `${formatCurrency(line.overtimeCost)} premium`).join('<br>'));
+        setHTML('shiftDifferentialDetails', laborLines.filter(line => line.differentialCost > 0).map(line => {
+            const parts = [];
+            if (line.nightHours > 0 && shiftDifferentials.nightPerc > 0) {
+                parts.push(`${line.nightHours} night hrs at +${shiftDifferentials.nightPerc}%`);
+            }
+            if (line.weekendHours > 0 && shiftDifferentials.weekendPerc > 0) {
+                parts.push(`${line.weekendHours} weekend hrs at +${shiftDifferentials.weekendPerc}%`);
+            }
+            return `${escapeHTML(line.roleName)}: ${parts.join(', ')} = ${formatCurrency(line.differentialCost)}`;
+        }).join('<br>'));
+        setHTML('laborTaxDetails', state.results.payrollBurdenLines.map(component =>
+            `${escapeHTML(describeBurdenComponent(component))}: ${formatCurrency(component.amount)}`).join('<br>') ||
+            'No payroll burden components configured');
+        setHTML('workCompDetails', state.results.workCompLines.map(line =>
+            `${escapeHTML(describeWorkCompClass(line))}: $${line.ratePer100} per $100 on ` +
+            `${formatCurrency(line.payroll)} labor = ${formatCurrency(line.amount)}`).join('<br>'));
+
+        // Transport details based on the service zone
+        let transportDetails = '';
+        const { transportZone, transportDiscountPerc } = state.results;
+        if (state.options.includeTransport && transportZone) {
+            transportDetails = `${formatCurrency(transportZone.ratePerDay)} per day × ${state.days} days`;
+
+            if (transportDiscountPerc > 0) {
+                transportDetails += ` (${transportDiscountPerc}% long-term contract discount)`;
+            }
+
+            transportDetails += ` - ${escapeHTML(transportZone.name)} zone`;
+        } else {
+            transportDetails = "Transport cost excluded";
+        }
+        setHTML('transportDetails', transportDetails);
+
+        // Materials and equipment details
+        let materialsDetails = "";
+        if (state.options.includeMaterials) {
+            materialsDetails = `${formatCurrency(state.materialsPerDay)} per day × ${state.days} days`;
+
+            // Add hood materials if there are any hoods
+            if (state.results.hoodMaterialCost > 0) {
+                materialsDetails += `<br>Plus materials for hood cleaning`;
+            }
+            if (state.results.serviceMaterialCost > 0) {
+                materialsDetails += `<br>Plus materials for add-on services`;
+            }
+        } else {
+            materialsDetails = "Materials cost excluded";
+        }
+        setHTML('materialsDetails', materialsDetails);
+
+        setHTML('equipmentDetails', state.options.includeEquipment ?
+            `${formatCurrency(state.equipmentPerDay)} per day × ${state.days} days` :
+            "Equipment cost excluded");
+
+        // Hood cleaning details, one line per hood line with its frequency discount
+        const { hoodLines } = state.results;
+        let hoodDetails = hoodLines.map(line => {
+            const size = line.linearFeet !== null ? ` (${line.linearFeet} linear ft)` : '';
+            let text = `${line.quantity} ${escapeHTML(line.name)}${size} at ${formatCurrency(line.unitPrice)} × ` +
+                `${line.frequency} cleanings`;
+            if (line.discountPerc > 0) {
+                text += ` - ${line.discountPerc}% frequency discount (${formatCurrency(line.discountAmount)})`;
+            }
+            return `${text}: ${formatCurrency(line.amount)}`;
+        }).join('<br>');
+
+        if (hoodLines.length > 0) {
+            hoodDetails += `<br>Labor: ${state.hoodLaborCostPerc}%, Materials: ${state.hoodMaterialCostPerc}% of price`;
+        }
+
+        setHTML('hoodCleaningDetails', hoodDetails);
+
+        // Add-on service details
+        setHTML('servicesDetails', state.results.serviceLines.map(line =>
+            `${escapeHTML(line.name)}: ${line.quantity} ${escapeHTML(line.unit)} × ${formatCurrency(line.unitPrice)} = ` +
+            formatCurrency(line.amount)).join('<br>'));
+
+        // Hide subcontractor-related rows
+        setDisplay('extraBenefitRow', false);
+        setDisplay('subcontractorSavingRow', false);
+    }
+}
+
+// ===== Calculation Engine =====
+
+/**
+ * Perform all calculations and update the UI
+ */
+function calculateAll() {
+    if (!validateAllInputs()) return;
+
+    // Set loading state
+    setLoadingState(true);
+
+    // Use setTimeout to allow the browser to update the UI with the loading state
+    setTimeout(() => {
+        try {
+            const { useSubcontractor, subcontractorCost, days, isHoliday, includeInsurance, options } = state;
+
+            // Price the quote and keep the results in state for easier access
+            state.results = computeQuote(getQuoteInputs(), getPricingConfig(), options);
+
+            const {
+                laborCost, overtimeCost, shiftDifferentialCost, laborTax, workCompCost, transportCost,
+                materialsCost, equipmentCost, hoodCleaningCost, servicesCost, operationalCostLines, operationalCosts,
+                internalCostSubtotal, subtotal,
+                residualPercentageAmount, markup, markupPercentage, holidaySurcharge, totalPrice,
+                generalLiabilityCost, initialFeeAmount, roundingAdjustment, grandTotal, netProfit,
+                costPercentage: totalCostPercentage, profitPercentage: totalProfitPercentage,
+                salesCommission, finalCompanyProfit, extraBenefit, splitCommissions,
+                targetCostPercentage, isOptimizationActive, isTargetAchieved
+            } = state.results;
+            const showHoodCleaning = hoodCleaningCost > 0;
+
+            // Show the zone the transport cost was priced with
+            updateTransportZoneSelect();
+            setContent('summaryQuoteNumber', getQuoteNumberLabel());
+
+            // Update UI based on calculations
+            updateUIForSubcontractor(useSubcontractor, internalCostSubtotal, subcontractorCost, extraBenefit);
+
+            // Show/hide rows based on conditions
+            setDisplay('overtimeRow', overtimeCost > 0);
+            setDisplay('shiftDifferentialRow', shiftDifferentialCost > 0);
+            setDisplay('holidayRow', isHoliday);
+            setDisplay('hoodCleaningRow', showHoodCleaning);
+            setDisplay('servicesRow', servicesCost > 0);
+            setDisplay('roundingRow', options.enableRounding);
+            setDisplay('initialFeeRow', options.enableInitialFee);
+            setDisplay('residualPercentageRow', options.enableResidualPercentage);
+            setDisplay('workCompRow', includeInsurance);
+            setDisplay('generalLiabilityRow', includeInsurance);
+            setDisplay('coverageRow', state.results.coverageCost > 0);
+            setDisplay('grandTotalRow', true); // Always show
+            setDisplay('salesCommissionRow', !options.enableCommissionSplit);
+            setDisplay('splitCommissionRows', options.enableCommissionSplit);
+
+            // Update split commission displays
+            if (options.enableCommissionSplit) {
+                updateCommissionSplitDisplay(splitCommissions);
+                const totalSplitPercent = options.commissionSplits.reduce((sum, value) => sum + value, 0);
+                setContent('totalCommissionSplitDisplay', totalSplitPercent);
+                setContent('totalSplitCommission', formatCurrency(salesCommission));
+            }
+
+            // Show/hide optimization indicators
+            setDisplay('optimizationBadge', isOptimizationActive);
+            setDisplay('targetAchievedBadge', isTargetAchieved);
+
+            // Update operational costs display
+            setContent('operationalCostsValue', formatCurrency(operationalCosts));
+            Object.entries(operationalCostLines).forEach(([line, cost]) => {
+                setContent(`${line}Value`, formatCurrency(cost));
+            });
+
+            if (options.enableInitialFee) {
+                setContent('initialFeeAmount', formatCurrency(initialFeeAmount));
+            }
+
+            if (options.enableResidualPercentage) {
+                setContent('residualPercentageDisplay', options.residualPercentageValue);
+                setContent('residualPercentageAmount', formatCurrency(residualPercentageAmount));
+            }
+
+            // Display rounding details
+            if (options.enableRounding) {
+                setHTML('roundingDetails', 'Rounding Grand Total up to the next $50');
+            }
+
+            // Subcontractor UI updates
+            setDisplay('subcontractorRow', useSubcontractor);
+            setDisplay('extraBenefitRow', useSubcontractor);
+
+            // Operational costs details display
+            setDisplay('operationalCostsDetails', $('operationalCostsRow').classList.contains('expanded'));
+            setDisplay('regularSuppliesRow', !useSubcontractor, 'flex');
+            setDisplay('additionalEquipmentRow', !useSubcontractor, 'flex');
+            setDisplay('uniformSafetyRow', !useSubcontractor, 'flex');
+
+            // Cost percentage display
+            setContent('totalCostPercentage', `${totalCostPercentage}%`);
+            setContent('totalProfitPercentage', `${totalProfitPercentage}%`);
+            $('costPercentageFill').style.width = `${totalCostPercentage}%`;
+            $('costPercentageFill').setAttribute('aria-valuenow', totalCostPercentage);
+            setContent('percentageTextOverlay', `${totalCostPercentage}%`);
+
+            // Update total and grand total
+            setContent('totalPrice', formatCurrency(totalPrice));
+            setContent('generalLiabilityCost', formatCurrency(generalLiabilityCost));
+            setContent('generalLiabilityDetails', state.results.glMinimumApplied ?
+                `Minimum premium (${formatCurrency(totalPrice * getPricingConfig().glRate / 1000)} at ` +
+                `$${getPricingConfig().glRate} per $1,000 of total price)` :
+                `$${getPricingConfig().glRate} per $1,000 of total price`);
+            setContent('coverageCost', formatCurrency(state.results.coverageCost));
+            setHTML('coverageDetails', state.results.coverageLines.map(line =>
+                `${escapeHTML(line.name)}: ${formatCurrency(line.amount)}`).join('<br>'));
+            setContent('workCompCost', formatCurrency(workCompCost));
+            setContent('roundingAdjustment', formatCurrency(roundingAdjustment));
+            setContent('grandTotal', formatCurrency(grandTotal));
+
+            // Update cost display
+            setContent('laborCost', formatCurrency(laborCost - overtimeCost - shiftDifferentialCost));
+            setContent('overtimeCost', formatCurrency(overtimeCost));
+            setContent('shiftDifferentialCost', formatCurrency(shiftDifferentialCost));
+            setContent('laborTax', formatCurrency(laborTax));
+            setContent('payrollBurdenRate', getPayrollBurdenRate(getPricingConfig().payrollBurden));
+            setContent('transportCost', formatCurrency(transportCost));
+            setContent('materialsCost', formatCurrency(materialsCost));
+            setContent('equipmentCost', formatCurrency(equipmentCost));
+            setContent('hoodCleaningCost', formatCurrency(hoodCleaningCost));
+            setContent('servicesCost', formatCurrency(servicesCost));
+            updateLineAmounts('hoodLineRows', state.results.hoodLines);
+            updateLineAmounts('serviceLineRows', state.results.serviceLines);
+            updateTierPrices();
+            setContent('subtotal', formatCurrency(subtotal));
+            setContent('markup', formatCurrency(markup));
+            setContent('markupPercentage', markupPercentage);
+            setContent('profitMarkupPercentage', markupPercentage);
+            setContent('holidaySurcharge', formatCurrency(holidaySurcharge));
+            setContent('netProfit', formatCurrency(netProfit));
+            setContent('salesCommission', formatCurrency(salesCommission));
+            setContent('finalCompanyProfit', formatCurrency(finalCompanyProfit));
+            setContent('profitMarkup', formatCurrency(markup));
+
+            // Set color of cost percentage bar based on value
+            if (totalCostPercentage > 75) {
+                $('costPercentageFill').style.backgroundColor = '#e74c3c';
+                $('finalCompanyProfit').classList.add('low-profit');
+                $('finalCompanyProfit').classList.remove('high-profit');
+            } else if (totalCostPercentage > 65) {
+                $('costPercentageFill').style.backgroundColor = '#f39c12';
+                $('finalCompanyProfit').classList.remove('low-profit');
+                $('finalCompanyProfit').classList.remove('high-profit');
+            } else {
+                $('costPercentageFill').style.backgroundColor = '#27ae60';
+                $('finalCompanyProfit').classList.remove('low-profit');
+                $('finalCompanyProfit').classList.add('high-profit');
+            }
+
+            // Special coloring for 62% target
+            if (isTargetAchieved) {
+                $('costPercentageFill').style.backgroundColor = 'var(--optimize-color)';
+            }
+
+            // Set markup details text based on option
+            let markupDetailsText = '';
+            if (isOptimizationActive) {
+                markupDetailsText = `Automatically optimized for ${targetCostPercentage}% cost ratio`;
+                $('markupRow').classList.add('optimization-active');
+            } else if (options.useCustomMarkup) {
+                markupDetailsText = 'Using custom markup percentage';
+                $('markupRow').classList.remove('optimization-active');
+            } else {
+                markupDetailsText = `Calculated based on contract length of ${days} days`;
+                $('markupRow').classList.remove('optimization-active');
+            }
+            setHTML('markupDetails', markupDetailsText);
+
+            // Highlight key values that have changed
+            highlightElement('grandTotal');
+            highlightElement('finalCompanyProfit');
+            highlightElement('netProfit');
+            highlightElement('totalCostPercentage');
+
+            // Clear loading state
+            setLoadingState(false);
+        } catch (error) {
+            console.error("Calculation error:", error);
+            setLoadingState(false);
+            showNotification("There was an error during calculation. Please check your inputs.", "error");
+        }
+    }, 100); // Small delay to allow the loading indicator to render
+}
+
+// ===== Goal Seek =====
+
+/**
+ * Format a goal seek target value
+ * @param {string} target - Target key
+ * @param {number} value - Value
+ * @returns {string} - Formatted value
+ */
+const formatGoalTarget = (target, value) => (target === 'costPercentage' ? `${value}%` : formatCurrency(value));
+
+/**
+ * Format a goal seek variable value
+ * @param {string} variable - Variable key
+ * @param {number} value - Value
+ * @returns {string} - Formatted value
+ */
+function formatGoalVariable(variable, value) {
+    switch (variable) {
+        case 'markup': return `${value}% markup`;
+        case 'hours': return `${value} hrs per person per day`;
+        case 'crewSize': return `${value} ${value === 1 ? 'person' : 'people'}`;
+        default: return `${value} ${value === 1 ? 'day' : 'days'}`;
+    }
+}
+
+/**
+ * Solve for the goal entered in the goal seek panel and show the result
+ */
+function runGoalSeek() {
+    const target = $('goalTargetSelect').value;
+    const variable = $('goalVariableSelect').value;
+    const value = parseFloat($('goalTargetValue').value);
+
+    if (isNaN(value)) {
+        showNotification('Enter the target value to solve for.', 'warning');
+        return;
+    }
+
+    const solution = solveGoal(getQuoteInputs(), getPricingConfig(), state.options, { target, value, variable });
+    state.goalSeek = solution ? { target, variable, value, solution } : null;
+
+    if (!solution) {
+        setHTML('goalSeekResult', '<div class="goal-result infeasible">Add crew to the quote to solve by hours or crew size.</div>');
+        return;
+    }
+
+    const { feasible, results, achieved, range } = solution;
+    const limit = GOAL_TARGETS[target] === 'max' ? 'at most' : 'at least';
+    const message = feasible ?
+        `Target met: ${formatGoalTarget(target, achieved)} (${limit} ${formatGoalTarget(target, value)}).` :
+        `Not reachable between ${formatGoalVariable(variable, range[0])} and ${formatGoalVariable(variable, range[1])}. This is the closest: ${formatGoalTarget(target, achieved)}.`;
+
+    setHTML('goalSeekResult', `
+        <div class="goal-result ${feasible ? 'feasible' : 'infeasible'}">
+            <div class="goal-result-value">${escapeHTML(formatGoalVariable(variable, solution.value))}</div>
+            <div>${escapeHTML(message)}</div>
+            <div class="help-text">Grand total ${formatCurrency(results.grandTotal)} · net profit ${formatCurrency(results.netProfit)} ·
+                cost ${results.costPercentage}% · final company profit ${formatCurrency(results.finalCompanyProfit)}</div>
+            <button class="btn btn-small btn-primary" id="applyGoalSeekBtn">Apply to Quote</button>
+        </div>
+    `);
+}
+
+/**
+ * Apply the goal seek solution to the quote, solving again against the current
+ * inputs so edits made since the result was shown are kept
+ */
+function applyGoalSeek() {
+    if (!state.goalSeek) return;
+
+    const { target, variable, value } = state.goalSeek;
+    const solution = solveGoal(getQuoteInputs(), getPricingConfig(), state.options, { target, value, variable });
+    state.goalSeek = null;
+    setHTML('goalSeekResult', '');
+
+    if (!solution) {
+        showNotification('Add crew to the quote to solve by hours or crew size.', 'warning');
+        return;
+    }
+
+    Object.assign(state, deepClone(solution.inputs));
+    state.options = deepClone(solution.options);
+
+    updateUIFromState();
+    calculateAll();
+    saveSnapshot();
+    showNotification(`Quote updated to ${escapeHTML(formatGoalVariable(variable, solution.value))}.`, 'success');
+}
+
+// ===== Scenario Comparison =====
+
+const MAX_SCENARIOS = 4;
+
+const SCENARIO_SETTINGS = [
+    { label: 'Subcontractor', value: s => s.inputs.useSubcontractor ? `Yes (${formatCurrency(s.inputs.subcontractorCost)})` : 'No' },
+    { label: 'Holiday', value: s => s.inputs.isHoliday ? 'Yes' : 'No' },
+    { label: 'Markup', value: s => `${s.results.markupPercentage}%${s.options.useCustomMarkup ? ' (custom)' : ''}` },
+    { label: 'Crew', value: s => `${getCrewHeadcount(s.inputs.crew)} people × ${s.inputs.days} days` }
+];
+
+const SCENARIO_METRICS = [
+    { label: 'Grand total', key: 'grandTotal' },
+    { label: 'Net profit', key: 'netProfit' },
+    { label: 'Cost percentage', key: 'costPercentage', isPercentage: true },
+    { label: 'Final company profit', key: 'finalCompanyProfit' },
+    { label: 'Commission', key: 'salesCommission' }
+];
+
+/**
+ * Pin the current quote as a scenario for comparison
+ */
+function pinScenario() {
+    if (state.scenarios.length >= MAX_SCENARIOS) {
+        showNotification(`Up to ${MAX_SCENARIOS} scenarios can be pinned. Remove one to pin another.`, 'warning');
+        return;
+    }
+
+    const label = prompt('Scenario name:', `Scenario ${state.scenarios.length + 1}`);
+    if (label === null) return;
+
+    const inputs = getQuoteInputs();
+    const options = deepClone(state.options);
+    const config = deepClone(getPricingConfig());
+
+    state.scenarios.push({
+        id: generateId('s-'),
+        label: label.trim() || `Scenario ${state.scenarios.length + 1}`,
+        inputs,
+        options,
+        config,
+        results: computeQuote(inputs, config, options)
+    });
+    renderScenarios();
+}
+
+/**
+ * Remove a pinned scenario
+ * @param {string} id - Scenario ID
+ */
+function removeScenario(id) {
+    state.scenarios = state.scenarios.filter(scenario => scenario.id !== id);
+    renderScenarios();
+}
+
+/**
+ * Make a pinned scenario the active quote
+ * @param {string} id - Scenario ID
+ */
+function promoteScenario(id) {
+    const scenario = state.scenarios.find(s => s.id === id);
+    if (!scenario) return;
+
+    Object.assign(state, deepClone(scenario.inputs));
+    state.options = deepClone(scenario.options);
+
+    // Keep the scenario's rates only when they differ from the active rate card
+    state.quoteConfig = JSON.stringify(scenario.config) === JSON.stringify(state.config) ? null : deepClone(scenario.config);
+
+    updateUIFromState();
+    calculateAll();
+    saveSnapshot();
+    showNotification(`"${escapeHTML(scenario.label)}" is now the active quote.`, 'success');
+}
+
+/**
+ * Format the difference between a scenario metric and the first scenario
+ * @param {number} difference - Difference from the first scenario
+ * @param {boolean} isPercentage - Whether the metric is a percentage
+ * @returns {string} - Signed difference (e.g. +$120.00 or -3 pts)
+ */
+function formatScenarioDifference(difference, isPercentage) {
+    const sign = difference > 0 ? '+' : '-';
+    return isPercentage ? `${sign}${Math.abs(difference)} pts` : `${sign}${formatCurrency(Math.abs(difference))}`;
+}
+
+/**
+ * Render the pinned scenarios side by side, highlighting where they differ from the first
+ */
+function renderScenarios() {
+    const { scenarios } = state;
+
+    setContent('scenarioCount', `${scenarios.length} of ${MAX_SCENARIOS} pinned`);
+    $('pinScenarioBtn').disabled = scenarios.length >= MAX_SCENARIOS;
+
+    if (!scenarios.length) {
+        setHTML('scenarioComparison', '<div class="empty-state">Pin the current quote to compare scenarios side by side. The first pinned scenario is the baseline.</div>');
+        return;
+    }
+
+    const [baseline] = scenarios;
+
+    const headerCells = scenarios.map((scenario, index) => `
+        <th class="numeric">
+            <div>${escapeHTML(scenario.label)}${index === 0 ? ' <span class="help-text">(baseline)</span>' : ''}</div>
+            <div class="scenario-actions">
+                <button class="btn btn-small btn-primary" data-scenario-action="promote" data-id="${scenario.id}">Use</button>
+                <button class="btn btn-small btn-danger" data-scenario-action="remove" data-id="${scenario.id}" aria-label="Remove ${escapeHTML(scenario.label)}"><i class="fas fa-times" aria-hidden="true"></i></button>
+            </div>
+        </th>`).join('');
+
+    const settingRows = SCENARIO_SETTINGS.map(setting => {
+        const baseValue = setting.value(baseline);
+        const cells = scenarios.map(scenario => {
+            const value = setting.value(scenario);
+            return `<td class="numeric${value !== baseValue ? ' scenario-diff' : ''}">${escapeHTML(value)}</td>`;
+        }).join('');
+        return `<tr><th scope="row">${setting.label}</th>${cells}</tr>`;
+    }).join('');
+
+    const metricRows = SCENARIO_METRICS.map(metric => {
+        const cells = scenarios.map(scenario => {
+            const value = scenario.results[metric.key];
+            const difference = Math.round((value - baseline.results[metric.key]) * 100) / 100;
+            const text = metric.isPercentage ? `${value}%` : formatCurrency(value);
+
+            if (!difference) return `<td class="numeric">${text}</td>`;
+
+            // A higher cost percentage is worse; higher money amounts are better
+            const isBetter = metric.isPercentage ? difference < 0 : difference > 0;
+            return `<td class="numeric scenario-diff">${text}
+                <div class="scenario-delta ${isBetter ? 'better' : 'worse'}">${formatScenarioDifference(difference, metric.isPercentage)}</div></td>`;
+        }).join('');
+        return `<tr class="scenario-metric"><th scope="row">${metric.label}</th>${cells}</tr>`;
+    }).join('');
+
+    setHTML('scenarioComparison', `
+        <table class="saved-quotes-table scenario-table">
+            <thead><tr><th></th>${headerCells}</tr></thead>
+            <tbody>${settingRows}${metricRows}</tbody>
+        </table>
+    `);
+}
+
+// ===== Saved Quotes =====
+
+const QUOTE_DB_NAME = 'kitchenCleaningCalculator';
+const QUOTE_DB_VERSION = 2; // 2 added the customer directory
+let quoteDbPromise = null;
+
+/**
+ * Open the IndexedDB database that holds saved quotes and the customer directory,
+ * creating it on first use and adding any store missing from an older version
+ * @returns {Promise<IDBDatabase>} - Open database connection
+ */
+function openQuoteDatabase() {
+    if (!quoteDbPromise) {
+        quoteDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(QUOTE_DB_NAME, QUOTE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('quotes')) {
+                    const store = db.createObjectStore('quotes', { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains('customers')) {
+                    db.createObjectStore('customers', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return quoteDbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} - Result of the request
+ */
+function runStoreRequest(storeName, mode, operation) {
+    return openQuoteDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * Saved quote persistence
+ */
+const quoteStore = {
+    getAll: () => runStoreRequest('quotes', 'readonly', store => store.getAll()),
+    get: id => runStoreRequest('quotes', 'readonly', store => store.get(id)),
+    put: quote => runStoreRequest('quotes', 'readwrite', store => store.put(quote)),
+    delete: id => runStoreRequest('quotes', 'readwrite', store => store.delete(id)),
+    clear: () => runStoreRequest('quotes', 'readwrite', store => store.clear())
+};
+
+/**
+ * Customer directory persistence
+ */
+const customerStore = {
+    getAll: () => runStoreRequest('customers', 'readonly', store => store.getAll()),
+    put: customer => runStoreRequest('customers', 'readwrite', store => store.put(customer)),
+    delete: id => runStoreRequest('customers', 'readwrite', store => store.delete(id)),
+    clear: () => runStoreRequest('customers', 'readwrite', store => store.clear())
+};
+
+/**
+ * Load the saved quote library from IndexedDB and refresh the list
+ * @returns {Promise<void>}
+ */
+function loadSavedQuotes() {
+    return quoteStore.getAll().then(quotes => {
+        state.savedQuotes = quotes;
+        renderSavedQuotes();
+        setContent('summaryQuoteNumber', getQuoteNumberLabel());
+    }).catch(error => {
+        console.error('Error loading saved quotes:', error);
+        setHTML('savedQuotesList', '<div class="empty-state">Saved quotes are not available in this browser.</div>');
+    });
+}
+
+/**
+ * Build a saved quote record from the current calculator state
+ * @param {string} name - Client / job name
+ * @returns {Object} - Quote record
+ */
+function buildQuoteRecord(name) {
+    const inputs = getQuoteInputs();
+    const options = deepClone(state.options);
+    const config = deepClone(getPricingConfig());
+
+    return {
+        name,
+        inputs,
+        options,
+        config,
+        profileId: state.quoteConfig && state.activeQuote ? state.activeQuote.profileId : state.activeProfileId,
+        profileName: getPricingProfileName(),
+        ...getCustomerSnapshot(),
+        results: computeQuote(inputs, config, options)
+    };
+}
+
+/**
+ * Copy the customer and site attached to the quote into a saved quote, so the
+ * quote keeps the details it was issued with after the directory changes
+ * @returns {Object} - { customer, site }; null when none is attached
+ */
+function getCustomerSnapshot() {
+    const attached = getQuoteCustomer();
+    if (!attached) return { customer: null, site: null };
+
+    const { sites, ...customer } = attached.customer;
+    const site = attached.site && { ...attached.site };
+    if (site) {
+        delete site.lastInputs;
+        delete site.lastQuotedAt;
+    }
+    return deepClone({ customer, site });
+}
+
+/**
+ * Save the current quote, updating the open quote if there is one
+ */
+function saveCurrentQuote() {
+    const current = state.activeQuote;
+    const attached = getQuoteCustomer();
+    const suggestedName = attached ?
+        [attached.customer.company, attached.site && attached.site.name].filter(Boolean).join(' - ') : '';
+    const name = prompt('Client / job name for this quote:', current ? current.name : suggestedName);
+    if (name === null) return;
+
+    if (!name.trim()) {
+        showNotification('Please enter a client or job name to save the quote.', 'error');
+        return;
+    }
+
+    const existing = current && state.savedQuotes.find(quote => quote.id === current.id);
+    const now = new Date().toISOString();
+    const base = buildQuoteRecord(name.trim());
+    const record = {
+        ...base,
+        ...getQuoteNumbering(existing, base, now),
+        id: existing ? existing.id : generateId('q-'),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+
+    quoteStore.put(record).then(() => {
+        state.activeQuote = toActiveQuote(record);
+        state.quoteConfig = record.config;
+        state.quoteCustomer = record.customer ? { customer: record.customer, site: record.site } : null;
+        updateActiveQuoteLabel();
+        showNotification(`Quote "${escapeHTML(record.name)}" saved as ${formatQuoteNumber(record)}.`, 'success');
+        return Promise.all([loadSavedQuotes(), rememberSiteInputs(record.inputs)]);
+    }).catch(error => {
+        console.error('Error saving quote:', error);
+        showNotification('The quote could not be saved.', 'error');
+    });
+}
+
+/**
+ * Load a saved quote into the calculator
+ * @param {Object} quote - Saved quote record
+ */
+function openSavedQuote(quote) {
+    Object.assign(state, normalizeInputs(quote.inputs));
+    state.options = deepClone({ ...DEFAULT_OPTIONS, ...quote.options });
+    state.activeQuote = toActiveQuote(quote);
+    state.scenarios = [];
+
+    // Price with the rates the quote was saved with, so it reproduces its numbers
+    state.quoteConfig = quote.config ? normalizeConfig(quote.config) : null;
+    state.quoteCustomer = quote.customer ? { customer: quote.customer, site: quote.site || null } : null;
+
+    updateUIFromState();
+    calculateAll();
+    saveSnapshot();
+    showContent('quotationContent');
+    showNotification(`Opened quote "${escapeHTML(quote.name)}".`, 'info');
+}
+
+/**
+ * Handle an action button in the saved quote list
+ * @param {string} action - 'open', 'duplicate', 'rename' or 'delete'
+ * @param {string} id - Saved quote ID
+ */
+function handleSavedQuoteAction(action, id) {
+    const quote = state.savedQuotes.find(q => q.id === id);
+    if (!quote) return;
+
+    let operation = null;
+    const now = new Date().toISOString();
+
+    switch (action) {
+        case 'open':
+            openSavedQuote(quote);
+            return;
+        case 'duplicate': {
+            const copy = {
+                ...deepClone(quote), ...getQuoteNumbering(null, quote, now),
+                id: generateId('q-'), name: `${quote.name} (copy)`, createdAt: now, updatedAt: now
+            };
+            operation = quoteStore.put(copy).then(() => showNotification(`Created "${escapeHTML(copy.name)}".`, 'success'));
+            break;
+        }
+        case 'rename': {
+            const name = prompt('New name for this quote:', quote.name);
+            if (name === null || !name.trim()) return;
+            operation = quoteStore.put({ ...quote, name: name.trim(), updatedAt: now }).then(() => {
+                if (state.activeQuote && state.activeQuote.id === id) {
+                    state.activeQuote.name = name.trim();
+                    updateActiveQuoteLabel();
+                }
+            });
+            break;
+        }
+        case 'delete':
+            if (!confirm(`Delete the quote "${quote.name}"? This cannot be undone.`)) return;
+            operation = quoteStore.delete(id).then(() => {
+                if (state.activeQuote && state.activeQuote.id === id) {
+                    state.activeQuote = null;
+                    state.quoteConfig = null;
+                    state.quoteCustomer = null;
+                    updateActiveQuoteLabel();
+                    calculateAll();
+                }
+                showNotification('Quote deleted.', 'success');
+            });
+            break;
+        default:
+            return;
+    }
+
+    operation.then(loadSavedQuotes).catch(error => {
+        console.error('Saved quote action failed:', error);
+        showNotification('The saved quote could not be updated.', 'error');
+    });
+}
+
+// Saved quote orders offered on the Quotes tab, by quoteSortSelect value
+const QUOTE_SORTERS = {
+    'updated-desc': (a, b) => b.updatedAt.localeCompare(a.updatedAt),
+    'name-asc': (a, b) => a.name.localeCompare(b.name),
+    'total-desc': (a, b) => b.results.grandTotal - a.results.grandTotal,
+    'total-asc': (a, b) => a.results.grandTotal - b.results.grandTotal
+};
+
+/**
+ * Get the saved quotes matching the current search, in the selected order
+ * @returns {Array} - Filtered and sorted quote records
+ */
+function getVisibleSavedQuotes() {
+    const search = state.ui.quoteSearch.trim().toLowerCase();
+    const customerName = quote => {
+        const customer = quote.customer || state.customers.find(c => c.id === quote.inputs.customerId);
+        return customer ? customer.company.toLowerCase() : '';
+    };
+    const quotes = state.savedQuotes.filter(quote => !search ||
+        quote.name.toLowerCase().includes(search) || (quote.quoteNumber || '').toLowerCase().includes(search) ||
+        customerName(quote).includes(search));
+
+    return quotes.sort(QUOTE_SORTERS[state.ui.quoteSort] || QUOTE_SORTERS['updated-desc']);
+}
+
+/**
+ * Render the saved quote list
+ */
+function renderSavedQuotes() {
+    const quotes = getVisibleSavedQuotes();
+
+    setContent('savedQuotesCount', `${state.savedQuotes.length} saved`);
+
+    if (quotes.length === 0) {
+        setHTML('savedQuotesList', `<div class="empty-state">${state.savedQuotes.length ?
+            'No saved quotes match your search.' :
+            'No saved quotes yet. Use "Save Quote" to keep the current quote.'}</div>`);
+        return;
+    }
+
+    const rows = quotes.map(quote => `
+        <tr class="${state.activeQuote && state.activeQuote.id === quote.id ? 'active-quote' : ''}">
+            <td>${escapeHTML(quote.quoteNumber ? formatQuoteNumber(quote) : '—')}</td>
+            <td>${escapeHTML(quote.name)}</td>
+            <td class="numeric">${formatCurrency(quote.results.grandTotal)}</td>
+            <td class="numeric">${escapeHTML(quote.inputs.days)}</td>
+            <td>${new Date(quote.updatedAt).toLocaleDateString()}</td>
+            <td class="saved-quote-actions">
+                <button class="btn btn-small btn-primary" data-action="open" data-id="${escapeHTML(quote.id)}">Open</button>
+                <button class="btn btn-small" data-action="duplicate" data-id="${escapeHTML(quote.id)}" aria-label="Duplicate ${escapeHTML(quote.name)}"><i class="fas fa-copy" aria-hidden="true"></i></button>
+                <button class="btn btn-small" data-action="rename" data-id="${escapeHTML(quote.id)}" aria-label="Rename ${escapeHTML(quote.name)}"><i class="fas fa-pen" aria-hidden="true"></i></button>
+                <button class="btn btn-small btn-danger" data-action="delete" data-id="${escapeHTML(quote.id)}" aria-label="Delete ${escapeHTML(quote.name)}"><i class="fas fa-trash" aria-hidden="true"></i></button>
+            </td>
+        </tr>
+    `).join('');
+
+    setHTML('savedQuotesList', `
+        <table class="saved-quotes-table">
+            <thead>
+                <tr><th>Quote #</th><th>Client / Job</th><th class="numeric">Grand Total</th><th class="numeric">Days</th><th>Updated</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `);
+}
+
+/**
+ * Show the name of the open saved quote on the summary
+ */
+function updateActiveQuoteLabel() {
+    setContent('activeQuoteName', state.activeQuote ? state.activeQuote.name : '');
+    setDisplay('activeQuoteName', !!state.activeQuote, 'inline-block');
+    setContent('summaryProfileName', getPricingProfileName());
+    setContent('summaryQuoteNumber', getQuoteNumberLabel());
+    updateFrozenConfigNotice();
+    renderSavedQuotes();
+}
+
+/**
+ * Show whether the quote is priced with frozen rates instead of the current rate card
+ */
+function updateFrozenConfigNotice() {
+    const isFrozen = !!state.quoteConfig &&
+        JSON.stringify(normalizeConfig(state.quoteConfig)) !== JSON.stringify(normalizeConfig(state.config));
+    setDisplay('frozenConfigNotice', isFrozen, 'flex');
+}
+
+/**
+ * Drop the open quote's frozen rates and price it with the current rate card
+ */
+function repriceWithCurrentConfig() {
+    state.quoteConfig = null;
+    renderProfileSelectors();
+    renderQuoteLines();
+    updateInsuranceDetails();
+    updateFrozenConfigNotice();
+    calculateAll();
+    showNotification('Quote repriced with the current configuration rates. Save the quote to keep the new prices.', 'info');
+}
+
+// ===== Customer Directory =====
+
+/**
+ * Load the customer directory from IndexedDB and refresh the list and quote selectors
+ * @returns {Promise<void>}
+ */
+function loadCustomers() {
+    return customerStore.getAll().then(customers => {
+        state.customers = customers.sort((a, b) => a.company.localeCompare(b.company));
+        renderCustomerList();
+        renderCustomerSelectors();
+    }).catch(error => {
+        console.error('Error loading customers:', error);
+        setHTML('customerList', '<div class="empty-state">The customer directory is not available in this browser.</div>');
+    });
+}
+
+/**
+ * Get the directory's customer and site attached to the current quote
+ * @returns {Object|null} - { customer, site } (site may be null), or null without a customer
+ */
+function getDirectoryCustomer() {
+    const customer = state.customers.find(c => c.id === state.customerId);
+    if (!customer) return null;
+    return { customer, site: customer.sites.find(site => site.id === state.siteId) || null };
+}
+
+/**
+ * Get the customer and site details for the current quote: as saved with the
+ * open quote while it is attached to the same ones, otherwise from the directory
+ * @returns {Object|null} - { customer, site } (site may be null), or null without a customer
+ */
+function getQuoteCustomer() {
+    const saved = state.quoteCustomer;
+    if (saved && saved.customer.id === state.customerId && (saved.site ? saved.site.id : null) === state.siteId) {
+        return saved;
+    }
+    return getDirectoryCustomer();
+}
 
-    // Toggle containers based on options
-    $('splitCommissionContainer').style.display = state.options.enableCommissionSplit ? 'block' : 'none';
-    $('salesCommissionRow').style.display = state.options.enableCommissionSplit ? 'none' : 'grid';
-    $('splitCommissionRows').style.display = state.options.enableCommissionSplit ? 'block' : 'none';
-    $('markupSliderContainer').style.display = state.options.useCustomMarkup ? 'block' : 'none';
-    $('initialFeeContainer').style.display = state.options.enableInitialFee ? 'block' : 'none';
-    $('residualPercentageContainer').style.display = state.options.enableResidualPercentage ? 'block' : 'none';
+/**
+ * Fill the customer and site selectors on the Quick Quote tab
+ */
+function renderCustomerSelectors() {
+    const attached = getDirectoryCustomer();
+    const sites = attached ? attached.customer.sites : [];
+
+    $('quoteCustomerSelect').innerHTML = '<option value="">No customer</option>' + state.customers.map(customer =>
+        `<option value="${escapeHTML(customer.id)}">${escapeHTML(customer.company)}</option>`).join('');
+    $('quoteCustomerSelect').value = attached ? attached.customer.id : '';
+
+    $('quoteSiteSelect').innerHTML = '<option value="">No site</option>' + sites.map(site =>
+        `<option value="${escapeHTML(site.id)}">${escapeHTML(site.name)}</option>`).join('');
+    $('quoteSiteSelect').value = attached && attached.site ? attached.site.id : '';
+    $('quoteSiteSelect').disabled = sites.length === 0;
+
+    const site = attached && attached.site;
+    setHTML('quoteSiteHelp', site ?
+        [site.address, site.accessNotes && `Access: ${site.accessNotes}`].filter(Boolean).map(escapeHTML).join('<br>') :
+        'Pick a customer from the directory on the Quotes tab to print them on the proposal and work order');
+}
 
-    // Update profit option visuals
-    updateProfitOptionClasses();
+/**
+ * Attach a customer to the quote, with its first service site
+ * @param {string} customerId - Customer ID, or '' for none
+ */
+function selectQuoteCustomer(customerId) {
+    const customer = state.customers.find(c => c.id === customerId);
+    state.customerId = customer ? customer.id : null;
+    selectQuoteSite(customer && customer.sites.length ? customer.sites[0].id : '');
+}
 
-    // Update slider and numeric inputs
-    $('markupSlider').value = state.options.customMarkupPercentage;
-    $('markupInput').value = state.options.customMarkupPercentage;
-    $('initialFeeValue').value = state.options.initialFeeValue;
-    $('residualPercentageValue').value = state.options.residualPercentageValue;
-    $('residualPercentageDisplay').textContent = state.options.residualPercentageValue;
-    $('regularSuppliesPercentage').value = state.options.regularSuppliesPercentage;
-    $('additionalEquipmentPercentage').value = state.options.additionalEquipmentPercentage;
-    $('uniformSafetyPercentage').value = state.options.uniformSafetyPercentage;
-    $('communicationsPercentage').value = state.options.communicationsPercentage;
-    $('overheadPercentage').value = state.options.overheadPercentage;
-    $('commissionPercentage').value = state.options.commissionPercentage;
-    $('commissionPercentageDisplay').textContent = state.options.commissionPercentage;
+/**
+ * Attach a service site to the quote. A site quoted before fills in the inputs
+ * its last saved quote used.
+ * @param {string} siteId - Site ID, or '' for none
+ */
+function selectQuoteSite(siteId) {
+    const attached = getDirectoryCustomer();
+    const site = attached && attached.customer.sites.find(s => s.id === siteId);
+    state.siteId = site ? site.id : null;
+
+    if (site && site.lastInputs) {
+        Object.assign(state, normalizeInputs({
+            ...site.lastInputs, customerId: state.customerId, siteId: state.siteId, acceptedTierId: null
+        }));
+        updateUIFromState();
+        showNotification(`Filled in the inputs last quoted for ${escapeHTML(site.name)}.`, 'info');
+    } else {
+        renderCustomerSelectors();
+    }
 
-    // Update commission split inputs
-    updateCommissionSplitInputs();
+    saveSnapshot();
+    calculateAll();
+}
 
-    // Update percentage displays
-    updatePercentageDisplays();
+/**
+ * Remember a saved quote's inputs on its site, to fill in the next quote for the site
+ * @param {Object} inputs - Saved quote inputs
+ * @returns {Promise<void>}
+ */
+function rememberSiteInputs(inputs) {
+    const attached = getDirectoryCustomer();
+    if (!attached || !attached.site) return Promise.resolve();
+
+    const { customer, site } = attached;
+    const now = new Date().toISOString();
+    const updated = {
+        ...customer,
+        sites: customer.sites.map(s => (s.id === site.id ? { ...s, lastInputs: deepClone(inputs), lastQuotedAt: now } : s)),
+        updatedAt: now
+    };
+    return customerStore.put(updated).then(loadCustomers);
+}
 
-    // Apply dark mode if enabled
-    document.body.classList.toggle('dark-mode', state.ui.isDarkMode);
-    if ($('darkModeToggle')) {
-        const icon = $('darkModeToggle').querySelector('i');
-        if (icon) icon.className = state.ui.isDarkMode ? 'fas fa-sun' : 'fas fa-moon';
-        $('darkModeToggle').setAttribute('aria-pressed', state.ui.isDarkMode);
+/**
+ * Render the customer directory list
+ */
+function renderCustomerList() {
+    setContent('customerCount', `${state.customers.length} customers`);
+
+    if (!state.customers.length) {
+        setHTML('customerList', '<div class="empty-state">No customers yet. Use "Add Customer" to start the directory.</div>');
+        return;
+    }
+
+    const rows = state.customers.map(customer => `
+        <tr>
+            <td>${escapeHTML(customer.company)}</td>
+            <td>${escapeHTML([customer.contactName, customer.contactPhone].filter(Boolean).join(', ') || '—')}</td>
+            <td>${customer.sites.map(site => escapeHTML(site.name)).join(', ') || '—'}</td>
+            <td class="saved-quote-actions">
+                <button class="btn btn-small btn-primary" data-customer-action="edit" data-id="${escapeHTML(customer.id)}">Edit</button>
+                <button class="btn btn-small btn-danger" data-customer-action="delete" data-id="${escapeHTML(customer.id)}" aria-label="Delete ${escapeHTML(customer.company)}"><i class="fas fa-trash" aria-hidden="true"></i></button>
+            </td>
+        </tr>
+    `).join('');
+
+    setHTML('customerList', `
+        <table class="saved-quotes-table">
+            <thead><tr><th>Company</th><th>Billing Contact</th><th>Sites</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `);
+}
+
+/**
+ * Build the HTML for one service site row in the customer editor
+ * @param {Object} site - Service site
+ * @returns {string} - Table row HTML
+ */
+function renderCustomerSiteRow(site) {
+    const field = (key, label, placeholder = '') =>
+        `<td><input type="text" data-key="${key}" value="${escapeHTML(site[key] || '')}" placeholder="${placeholder}" aria-label="${label}"></td>`;
+
+    return `<tr data-id="${escapeHTML(site.id)}">
+        ${field('name', 'Site name', 'e.g. Main kitchen')}
+        ${field('address', 'Site address')}
+        ${field('contactName', 'Site contact')}
+        ${field('contactPhone', 'Site contact phone')}
+        <td><textarea data-key="accessNotes" rows="2" aria-label="Access notes" placeholder="Keys, alarm codes, parking">${escapeHTML(site.accessNotes || '')}</textarea></td>
+        <td><button type="button" class="btn btn-small btn-danger" data-remove-site aria-label="Remove site">
+            <i class="fas fa-times" aria-hidden="true"></i></button></td>
+    </tr>`;
+}
+
+/**
+ * Open the customer editor
+ * @param {Object} [customer] - Customer to edit; a new customer when omitted
+ */
+function openCustomerEditor(customer) {
+    const record = customer || { id: generateId('c-'), company: '', sites: [{ id: generateId('s-'), name: 'Main kitchen' }] };
+    state.ui.editingCustomer = deepClone(record);
+
+    setContent('customerEditorTitle', customer ? `Edit ${customer.company}` : 'New Customer');
+    ['company', 'contactName', 'contactEmail', 'contactPhone', 'billingAddress'].forEach(key => {
+        $(`customer${key.charAt(0).toUpperCase()}${key.slice(1)}`).value = record[key] || '';
+    });
+    setHTML('customerSiteRows', record.sites.map(renderCustomerSiteRow).join(''));
+    setDisplay('customerEditor', true);
+    $('customerCompany').focus();
+}
+
+/**
+ * Close the customer editor without saving
+ */
+function closeCustomerEditor() {
+    state.ui.editingCustomer = null;
+    setDisplay('customerEditor', false);
+}
+
+/**
+ * Save the customer in the editor to the directory
+ */
+function saveCustomerEditor() {
+    const original = state.ui.editingCustomer;
+    const company = $('customerCompany').value.trim();
+    if (!company) {
+        showNotification('Please enter the customer company name.', 'error');
+        return;
+    }
+
+    const sites = Array.from(document.querySelectorAll('#customerSiteRows tr')).map(tr => {
+        const site = { ...(original.sites.find(s => s.id === tr.dataset.id) || {}), id: tr.dataset.id };
+        tr.querySelectorAll('[data-key]').forEach(field => { site[field.dataset.key] = field.value.trim(); });
+        return site;
+    });
+    if (sites.some(site => !site.name)) {
+        showNotification('Every service site needs a name.', 'error');
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const customer = {
+        ...original,
+        company,
+        contactName: $('customerContactName').value.trim(),
+        contactEmail: $('customerContactEmail').value.trim(),
+        contactPhone: $('customerContactPhone').value.trim(),
+        billingAddress: $('customerBillingAddress').value.trim(),
+        sites,
+        createdAt: original.createdAt || now,
+        updatedAt: now
+    };
+
+    customerStore.put(customer).then(() => {
+        closeCustomerEditor();
+        showNotification(`Customer "${escapeHTML(company)}" saved.`, 'success');
+        return loadCustomers();
+    }).catch(error => {
+        console.error('Error saving customer:', error);
+        showNotification('The customer could not be saved.', 'error');
+    });
+}
+
+/**
+ * Delete a customer from the directory
+ * @param {string} id - Customer ID
+ */
+function deleteCustomer(id) {
+    const customer = state.customers.find(c => c.id === id);
+    if (!customer || !confirm(`Delete the customer "${customer.company}"? Saved quotes keep the customer details they were saved with.`)) return;
+
+    customerStore.delete(id).then(() => {
+        if (state.customerId === id) {
+            state.customerId = null;
+            state.siteId = null;
+        }
+        showNotification('Customer deleted.', 'success');
+        return loadCustomers();
+    }).catch(error => {
+        console.error('Error deleting customer:', error);
+        showNotification('The customer could not be deleted.', 'error');
+    });
+}
+
+// ===== Quote Numbering =====
+
+const SETTINGS_STORAGE_KEY = 'kitchenCalculator.settings';
+const QUOTE_COUNTER_STORAGE_KEY = 'kitchenCalculator.quoteCounter';
+
+/**
+ * Load the application-wide settings from localStorage
+ */
+function loadStoredSettings() {
+    try {
+        const stored = localStorage.getItem(SETTINGS_STORAGE_KEY);
+        if (stored) state.settings = normalizeSettings(JSON.parse(stored));
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+/**
+ * Save the application-wide settings to localStorage
+ */
+function persistSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(state.settings));
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        showNotification('Settings could not be saved in this browser and will reset on reload.', 'warning');
+    }
+}
+
+/**
+ * Read the quote number counter, restarting it in a new year
+ * @returns {Object} - { year, lastNumber }
+ */
+function getQuoteCounter() {
+    const year = new Date().getFullYear();
+    try {
+        const counter = JSON.parse(localStorage.getItem(QUOTE_COUNTER_STORAGE_KEY));
+        if (counter && counter.year === year) return counter;
+    } catch (error) {
+        console.error('Error reading the quote number counter:', error);
+    }
+    return { year, lastNumber: 0 };
+}
+
+/**
+ * Take the next sequential quote number (e.g. PFS-2026-0042)
+ * @returns {string} - Quote number
+ */
+function takeNextQuoteNumber() {
+    const counter = getQuoteCounter();
+    counter.lastNumber += 1;
+    try {
+        localStorage.setItem(QUOTE_COUNTER_STORAGE_KEY, JSON.stringify(counter));
+    } catch (error) {
+        console.error('Error saving the quote number counter:', error);
+        showNotification('The quote number counter could not be saved in this browser, so numbers may repeat.', 'warning');
+    }
+    return formatSequentialNumber(state.settings.quoteNumberPrefix, counter.year, counter.lastNumber);
+}
+
+/**
+ * Format a sequential quote number
+ * @param {string} prefix - Quote number prefix
+ * @param {number} year - Counter year
+ * @param {number} sequence - Number within the year
+ * @returns {string} - Quote number
+ */
+function formatSequentialNumber(prefix, year, sequence) {
+    return `${prefix}-${year}-${String(sequence).padStart(4, '0')}`;
+}
+
+/**
+ * Turn a revision index into its letter: 0 → A, 25 → Z, 26 → AA
+ * @param {number} revision - Revision index
+ * @returns {string} - Revision letter(s)
+ */
+function getRevisionLabel(revision) {
+    let label = '';
+    for (let n = revision; n >= 0; n = Math.floor(n / 26) - 1) {
+        label = String.fromCharCode(65 + (n % 26)) + label;
+    }
+    return label;
+}
+
+/**
+ * Format a quote's number with its revision (e.g. PFS-2026-0042 rev B)
+ * @param {Object} quote - Saved quote or active quote
+ * @returns {string} - Quote number and revision
+ */
+function formatQuoteNumber(quote) {
+    return `${quote.quoteNumber} rev ${getRevisionLabel(quote.revision || 0)}`;
+}
+
+/**
+ * Check whether a quote prices differently from a saved quote
+ * @param {Object} saved - Saved quote
+ * @param {Object} record - Quote inputs, options and rates to compare
+ * @returns {boolean} - True when inputs, options or rates differ
+ */
+function hasQuoteChanged(saved, record) {
+    return ['inputs', 'options', 'config'].some(key => JSON.stringify(saved[key]) !== JSON.stringify(record[key]));
+}
+
+/**
+ * Work out the number and revision for a quote being saved. A new quote takes
+ * the next number; a changed quote keeps its number and moves to the next
+ * revision, keeping the previous revision's inputs.
+ * @param {Object|null} existing - Saved quote being updated, or null for a new quote
+ * @param {Object} record - Quote record being saved
+ * @param {string} savedAt - Save time (ISO string)
+ * @returns {Object} - { quoteNumber, revision, revisions }
+ */
+function getQuoteNumbering(existing, record, savedAt) {
+    if (!existing || !existing.quoteNumber) {
+        return { quoteNumber: takeNextQuoteNumber(), revision: 0, revisions: [] };
+    }
+
+    const { quoteNumber, revision = 0, revisions = [] } = existing;
+    if (!hasQuoteChanged(existing, record)) return { quoteNumber, revision, revisions };
+
+    const previous = {
+        revision,
+        savedAt: existing.updatedAt,
+        inputs: existing.inputs,
+        options: existing.options,
+        config: existing.config,
+        grandTotal: existing.results.grandTotal
+    };
+    return { quoteNumber, revision: revision + 1, revisions: [...revisions, previous] };
+}
+
+/**
+ * Quote number printed on the quote documents (print and PDF)
+ * @returns {string} - Quote number and revision, or "Draft" for unsaved quotes
+ */
+function getDocumentQuoteNumber() {
+    return state.activeQuote && state.activeQuote.quoteNumber ? formatQuoteNumber(state.activeQuote) : 'Draft';
+}
+
+/**
+ * Label for the quote number shown on the summary, flagging unsaved changes
+ * @returns {string} - Quote number and revision, or "Draft" for unsaved quotes
+ */
+function getQuoteNumberLabel() {
+    const saved = state.activeQuote && state.savedQuotes.find(quote => quote.id === state.activeQuote.id);
+    if (!state.activeQuote || !state.activeQuote.quoteNumber) return 'Draft';
+
+    const label = getDocumentQuoteNumber();
+    const current = { inputs: getQuoteInputs(), options: state.options, config: getPricingConfig() };
+    return saved && hasQuoteChanged(saved, current) ? `${label} (unsaved changes)` : label;
+}
+
+/**
+ * File name for an export of the quote, named after its number and revision
+ * @param {string} extension - File extension
+ * @returns {string} - e.g. kitchen-cleaning-quote-PFS-2026-0042-rev-B.pdf
+ */
+function getQuoteFileName(extension, suffix = '') {
+    const { activeQuote } = state;
+    const number = activeQuote && activeQuote.quoteNumber ? formatQuoteNumber(activeQuote).replace(/\s+/g, '-') : 'draft';
+    return `kitchen-cleaning-quote-${number}${suffix}.${extension}`;
+}
+
+/**
+ * Build the active quote reference for a saved quote
+ * @param {Object} quote - Saved quote
+ * @returns {Object} - Active quote
+ */
+function toActiveQuote(quote) {
+    const { id, name, profileId, profileName, quoteNumber = null, revision = 0 } = quote;
+    return { id, name, profileId, profileName, quoteNumber, revision };
+}
+
+/**
+ * Show the next quote number for the prefix being edited
+ */
+function updateNextQuoteNumberHelp() {
+    const prefix = $('quoteNumberPrefix').value.trim() || DEFAULT_SETTINGS.quoteNumberPrefix;
+    const { year, lastNumber } = getQuoteCounter();
+    setContent('nextQuoteNumber', formatSequentialNumber(prefix, year, lastNumber + 1));
+}
+
+// ===== Shareable Links =====
+
+const SHARE_LINK_PARAM = 'quote';
+
+/**
+ * Keep only the top-level values that differ from their defaults
+ * @param {Object} values - Values to compact
+ * @param {Object} defaults - Default values
+ * @returns {Object} - Changed values
+ */
+function getChangedValues(values, defaults) {
+    return Object.keys(values).reduce((changed, key) => {
+        if (JSON.stringify(values[key]) !== JSON.stringify(defaults[key])) changed[key] = values[key];
+        return changed;
+    }, {});
+}
+
+/**
+ * Encode text as URL-safe base64
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {string} - Base64url string without padding
+ */
+function encodeBase64Url(text) {
+    const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64 back to text
+ * @param {string} encoded - Base64url string
+ * @returns {string} - Decoded UTF-8 text
+ */
+function decodeBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Build a link that reopens the current quote with the same inputs, options and rates
+ * @returns {string} - Shareable URL
+ */
+function buildShareLink() {
+    const payload = {
+        i: getChangedValues(getQuoteInputs(), DEFAULT_INPUTS),
+        o: getChangedValues(state.options, DEFAULT_OPTIONS),
+        c: getChangedValues(normalizeConfig(getPricingConfig()), DEFAULT_CONFIG),
+        p: getPricingProfileName()
+    };
+    const url = new URL(window.location.href);
+    url.hash = `${SHARE_LINK_PARAM}=v${SHARE_LINK_VERSION}.${encodeBase64Url(JSON.stringify(payload))}`;
+    return url.toString();
+}
+
+/**
+ * Read a shared quote from a URL fragment
+ * @param {string} hash - URL fragment (with or without the leading #)
+ * @returns {Object|null} - { inputs, options, config, profileName } or null if the fragment holds no quote
+ * @throws {Error} - If the link is damaged or from an unsupported version
+ */
+function parseShareLink(hash) {
+    const match = new RegExp(`^#?${SHARE_LINK_PARAM}=v(\\d+)\\.([A-Za-z0-9_-]+)$`).exec(hash || '');
+    if (!match) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(decodeBase64Url(match[2]));
+    } catch (error) {
+        throw new Error('This quote link is incomplete or damaged.');
+    }
+
+    const shared = readSharedQuote(Number(match[1]), payload);
+    if (!shared) {
+        throw new Error(`This link was made with an unsupported version (v${match[1]}) of the calculator.`);
+    }
+    return shared;
+}
+
+/**
+ * Load a quote shared through the page URL, if there is one
+ * @returns {boolean} - Whether a shared quote was loaded
+ */
+function restoreSharedQuote() {
+    let shared;
+    try {
+        shared = parseShareLink(window.location.hash);
+    } catch (error) {
+        console.error('Invalid quote link:', error);
+        showNotification(error.message, 'error');
+        return false;
+    }
+    if (!shared) return false;
+
+    Object.assign(state, shared.inputs);
+    state.options = shared.options;
+    state.activeQuote = null;
+    state.quoteCustomer = null;
+
+    // Price with the sender's rates, so the link reproduces their numbers
+    state.quoteConfig = shared.config;
+    state.sharedProfileName = shared.profileName;
+
+    // Drop the fragment so a reload doesn't discard later edits
+    if (window.history && window.history.replaceState) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+
+    showNotification('Opened a shared quote. Save it to keep a copy in your quote library.', 'info');
+    return true;
+}
+
+/**
+ * Copy a shareable link for the current quote to the clipboard
+ */
+function copyShareLink() {
+    const link = buildShareLink();
+    const fallback = () => prompt('Copy this link to share the quote:', link);
+
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        fallback();
+        return;
+    }
+
+    navigator.clipboard.writeText(link)
+        .then(() => showNotification('Quote link copied to the clipboard.', 'success'))
+        .catch(fallback);
+}
+
+// ===== Rate Card Profiles =====
+
+const PROFILES_STORAGE_KEY = 'kitchenCalculator.profiles';
+const LEGACY_CONFIG_STORAGE_KEY = 'kitchenCalculator.config';
+
+/**
+ * Get the active rate card profile
+ * @returns {Object} - Profile record ({ id, name, config })
+ */
+const getActiveProfile = () => state.profiles.find(profile => profile.id === state.activeProfileId) || state.profiles[0];
+
+/**
+ * Get the name of the rate card the current quote is priced with
+ * @returns {string} - Profile name
+ */
+const getPricingProfileName = () => {
+    if (state.quoteConfig && state.activeQuote && state.activeQuote.profileName) return state.activeQuote.profileName;
+    if (state.quoteConfig && state.sharedProfileName) return state.sharedProfileName;
+    return getActiveProfile().name;
+};
+
+/**
+ * Load the saved rate card profiles from localStorage
+ */
+function loadStoredProfiles() {
+    try {
+        const stored = localStorage.getItem(PROFILES_STORAGE_KEY);
+
+        if (stored) {
+            const { profiles, activeProfileId } = JSON.parse(stored);
+            if (Array.isArray(profiles) && profiles.length) {
+                state.profiles = profiles.map(profile => ({ ...profile, config: normalizeConfig(profile.config) }));
+                state.activeProfileId = activeProfileId;
+            }
+        } else {
+            // Carry over a configuration saved before profiles existed
+            const legacyConfig = localStorage.getItem(LEGACY_CONFIG_STORAGE_KEY);
+            if (legacyConfig) state.profiles[0].config = normalizeConfig(JSON.parse(legacyConfig));
+        }
+    } catch (error) {
+        console.error('Error loading saved configuration profiles:', error);
+    }
+
+    state.activeProfileId = getActiveProfile().id;
+    state.config = getActiveProfile().config;
+}
+
+/**
+ * Save the rate card profiles to localStorage
+ */
+function persistProfiles() {
+    try {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({
+            activeProfileId: state.activeProfileId,
+            profiles: state.profiles
+        }));
+    } catch (error) {
+        console.error('Error saving configuration profiles:', error);
+        showNotification('Configuration could not be saved in this browser and will reset on reload.', 'warning');
     }
+}
 
-    // Update unsaved changes indicator
-    updateUnsavedChangesIndicator();
+/**
+ * Make a profile the active rate card and reprice the quote with it
+ * @param {string} profileId - Profile ID
+ */
+function selectProfile(profileId) {
+    const profile = state.profiles.find(p => p.id === profileId);
+    if (!profile) return;
+
+    state.activeProfileId = profile.id;
+    state.config = profile.config;
+    state.quoteConfig = null;
+    state.ui.hasUnsavedConfigChanges = false;
+
+    persistProfiles();
+    updateUIFromState();
+    calculateAll();
 }
 
 /**
- * Update UI based on subcontractor selection
- * @param {boolean} isSubcontractor - Whether using a subcontractor
- * @param {number} internalCost - Internal cost calculation
- * @param {number} subcontractorCost - Subcontractor cost
- * @param {number} extraBenefit - Extra benefit from using subcontractor
+ * Handle the profile management buttons on the Configuration tab
+ * @param {'new'|'clone'|'rename'|'delete'} action - Action to perform
  */
-function updateUIForSubcontractor(isSubcontractor, internalCost, subcontractorCost, extraBenefit) {
-    if (isSubcontractor) {
-        // Cross out internal costs since they're not what we'll actually pay
-        document.querySelectorAll('#laborCost, #laborTax, #workCompCost, #transportCost, #materialsCost, #equipmentCost, #hoodCleaningCost')
-            .forEach(el => el.classList.add('text-crossed'));
+function handleProfileAction(action) {
+    const active = getActiveProfile();
+
+    if (action === 'new' || action === 'clone') {
+        checkUnsavedConfigChanges();
+        const name = prompt('Name for the new rate card profile:', action === 'clone' ? `${active.name} (copy)` : '');
+        if (name === null || !name.trim()) return;
+
+        const profile = {
+            id: generateId('p-'),
+            name: name.trim(),
+            config: action === 'clone' ? deepClone(active.config) : deepClone(DEFAULT_CONFIG)
+        };
+        state.profiles.push(profile);
+        selectProfile(profile.id);
+        showNotification(`Profile "${escapeHTML(profile.name)}" created.`, 'success');
+    } else if (action === 'rename') {
+        const name = prompt('New name for this profile:', active.name);
+        if (name === null || !name.trim()) return;
+
+        active.name = name.trim();
+        persistProfiles();
+        renderProfileSelectors();
+    } else if (action === 'delete') {
+        if (state.profiles.length === 1) {
+            showNotification('At least one rate card profile is required.', 'error');
+            return;
+        }
+        if (!confirm(`Delete the profile "${active.name}"? Saved quotes keep the rates they were priced with.`)) return;
 
-        // Explain they are reference costs for final price calculation
-        const costsText = 'Reference cost used for final price calculation';
-        setHTML('laborDetails', costsText);
-        setHTML('laborTaxDetails', costsText);
-        setHTML('workCompDetails', costsText);
-        setHTML('transportDetails', costsText);
-        setHTML('materialsDetails', costsText);
-        setHTML('equipmentDetails', costsText);
-        setHTML('hoodCleaningDetails', costsText);
+        state.profiles = state.profiles.filter(profile => profile.id !== active.id);
+        selectProfile(state.profiles[0].id);
+        showNotification('Profile deleted.', 'success');
+    }
+}
 
-        // Show subcontractor cost and additional benefit
-        setContent('subcontractorCostDisplay', formatCurrency(subcontractorCost));
-        setContent('extraBenefitValue', formatCurrency(extraBenefit));
-        toggleClass('extraBenefitValue', 'text-highlight', extraBenefit > 0);
+/**
+ * Fill the profile selectors and show the profile name on the summary
+ */
+function renderProfileSelectors() {
+    const optionsHTML = state.profiles.map(profile =>
+        `<option value="${profile.id}">${escapeHTML(profile.name)}</option>`).join('');
+
+    ['quoteProfileSelect', 'configProfileSelect'].forEach(id => {
+        const select = $(id);
+        if (!select) return;
+        select.innerHTML = optionsHTML;
+        select.value = state.activeProfileId;
+    });
 
-        // Show clearer text about savings
-        setDisplay('extraBenefitRow', true);
-        setHTML('extraBenefitDetails', 'Savings from using subcontractor instead of internal team (difference between internal costs and subcontractor cost)');
+    $('deleteProfileBtn').disabled = state.profiles.length === 1;
+    setContent('summaryProfileName', getPricingProfileName());
+}
 
-        // Also show these savings in profit breakdown section
-        setDisplay('subcontractorSavingRow', true);
-        setContent('subcontractorSaving', formatCurrency(extraBenefit));
-    } else {
-        // If not using a subcontractor, remove any cross-out styling
-        document.querySelectorAll('#laborCost, #laborTax, #workCompCost, #transportCost, #materialsCost, #equipmentCost, #hoodCleaningCost')
-            .forEach(el => el.classList.remove('text-crossed'));
+// ===== Backup and Restore =====
 
-        // Generate labor details text
-        let laborDetails = '';
-        if (state.workers > 0) {
-            if (state.days === 1 && state.workers > 1) {
-                laborDetails = `${state.workers - 1} workers at ${formatCurrency(state.config.regularPayRate)}/hr × ${state.hours} hrs<br>` +
-                    `1 supervisor at ${formatCurrency(state.config.supervisorPayRate)}/hr × ${state.hours} hrs`;
-            } else if (state.workers > 0) {
-                laborDetails = `${state.workers} workers at ${formatCurrency(state.config.regularPayRate)}/hr × ${state.hours} hrs × ${state.days} days`;
-            }
+const BACKUP_APP_ID = 'kitchen-cleaning-calculator';
+const BACKUP_VERSION = 1;
 
-            // Add hood labor costs if there are any hoods
-            if (state.largeHoods > 0 || state.smallHoods > 0) {
-                laborDetails += `<br>Plus hood cleaning labor costs`;
-            }
-        } else if (state.largeHoods > 0 || state.smallHoods > 0) {
-            laborDetails = `Labor costs for hood cleaning only`;
-        }
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Collect everything the calculator keeps in this browser into one backup
+ * @returns {Promise<Object>} - Backup data
+ */
+function buildBackup() {
+    return Promise.all([quoteStore.getAll(), customerStore.getAll()]).then(([quotes, customers]) => ({
+        app: BACKUP_APP_ID,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        quotes,
+        customers,
+        profiles: state.profiles,
+        activeProfileId: state.activeProfileId,
+        settings: state.settings,
+        quoteCounter: getQuoteCounter(),
+        options: state.options,
+        preferences: getPreferences()
+    }));
+}
 
-        // Set details for each row
-        setHTML('laborDetails', laborDetails);
-        setHTML('laborTaxDetails', "17% mandatory employment taxes on labor");
-        setHTML('workCompDetails', `$${state.config.workCompRate} per $100 of labor cost`);
+/**
+ * Download a backup of saved quotes, customers, rate cards, settings and preferences
+ */
+function exportBackup() {
+    buildBackup().then(backup => {
+        const date = backup.exportedAt.slice(0, 10);
+        downloadTextFile(JSON.stringify(backup, null, 2), `kitchen-calculator-backup-${date}.json`, 'application/json');
+        showNotification(`Backup exported with ${backup.quotes.length} saved quotes.`, 'success');
+    }).catch(error => {
+        console.error('Error exporting backup:', error);
+        showNotification('The backup could not be created.', 'error');
+    });
+}
 
-        // Transport details based on location
-        let transportDetails = '';
-        if (state.options.includeTransport) {
-            const transportRate = state.outsideHouston ?
-                formatCurrency(state.config.outsideHoustonTransportCostPerDay) :
-                formatCurrency(state.config.transportCostPerDay);
+/**
+ * Check a backup file against the expected schema
+ * @param {*} backup - Parsed backup file
+ * @returns {string[]} - Problems found; empty when the backup is usable
+ */
+function validateBackup(backup) {
+    if (!isPlainObject(backup) || backup.app !== BACKUP_APP_ID) {
+        return ['The file is not a Kitchen Cleaning Calculator backup.'];
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+        return [`Backup version ${backup.version} is not supported by this version of the calculator.`];
+    }
 
-            transportDetails = `${transportRate} per day × ${state.days} days`;
+    const problems = [];
 
-            if (state.days > 7) {
-                transportDetails += " (with long-term contract discount)";
+    if (!Array.isArray(backup.quotes)) {
+        problems.push('Saved quotes are missing.');
+    } else {
+        backup.quotes.forEach((quote, index) => {
+            // The Quotes tab sorts and lists saved quotes by these fields
+            if (!isPlainObject(quote) || typeof quote.id !== 'string' || typeof quote.name !== 'string' ||
+                typeof quote.updatedAt !== 'string' || !isPlainObject(quote.inputs) ||
+                !isPlainObject(quote.results) || !Number.isFinite(quote.results.grandTotal)) {
+                problems.push(`Saved quote ${index + 1} is incomplete.`);
             }
+        });
+    }
 
-            if (state.outsideHouston) {
-                transportDetails += " - Outside Houston rate";
+    if (!Array.isArray(backup.profiles) || !backup.profiles.length) {
+        problems.push('Rate card profiles are missing.');
+    } else {
+        backup.profiles.forEach((profile, index) => {
+            if (!isPlainObject(profile) || typeof profile.id !== 'string' || typeof profile.name !== 'string' ||
+                !isPlainObject(profile.config)) {
+                problems.push(`Rate card profile ${index + 1} is incomplete.`);
             }
+        });
+    }
+
+    if (backup.customers !== undefined) {
+        if (!Array.isArray(backup.customers)) {
+            problems.push('The customers entry is not valid.');
         } else {
-            transportDetails = "Transport cost excluded";
+            backup.customers.forEach((customer, index) => {
+                if (!isPlainObject(customer) || typeof customer.id !== 'string' || typeof customer.company !== 'string') {
+                    problems.push(`Customer ${index + 1} is incomplete.`);
+                }
+            });
         }
-        setHTML('transportDetails', transportDetails);
+    }
 
-        // Materials and equipment details
-        let materialsDetails = "";
-        if (state.options.includeMaterials) {
-            materialsDetails = `${formatCurrency(state.materialsPerDay)} per day × ${state.days} days`;
+    ['settings', 'quoteCounter', 'options', 'preferences'].forEach(key => {
+        if (backup[key] !== undefined && !isPlainObject(backup[key])) problems.push(`The ${key} entry is not valid.`);
+    });
 
-            // Add hood materials if there are any hoods
-            if (state.largeHoods > 0 || state.smallHoods > 0) {
-                materialsDetails += `<br>Plus materials for hood cleaning`;
-            }
-        } else {
-            materialsDetails = "Materials cost excluded";
-        }
-        setHTML('materialsDetails', materialsDetails);
+    // The Configuration tab lists each document mode's sections
+    const documentSections = isPlainObject(backup.settings) ? backup.settings.documentSections : undefined;
+    if (documentSections !== undefined && (!isPlainObject(documentSections) || Object.keys(DOCUMENT_MODES)
+        .some(mode => documentSections[mode] !== undefined && !Array.isArray(documentSections[mode])))) {
+        problems.push('The document sections setting is not valid.');
+    }
 
-        setHTML('equipmentDetails', state.options.includeEquipment ?
-            `${formatCurrency(state.equipmentPerDay)} per day × ${state.days} days` :
-            "Equipment cost excluded");
+    return problems;
+}
 
-        // Hood cleaning details
-        let hoodDetails = '';
-        if (state.largeHoods > 0) {
-            hoodDetails += `${state.largeHoods} large hoods at $${state.config.largeHoodPrice} each<br>`;
-        }
-        if (state.smallHoods > 0) {
-            hoodDetails += `${state.smallHoods} small hoods at $${state.config.smallHoodPrice} each<br>`;
+/**
+ * Merge backed-up quotes into the saved quote library. Quotes that share an ID
+ * or quote number with a saved quote are resolved with the chosen policy.
+ * @param {Object[]} existing - Saved quotes in this browser
+ * @param {Object[]} imported - Quotes from the backup
+ * @param {string} conflictPolicy - 'newer', 'both' or 'existing'
+ * @returns {Object} - { put: quotes to write, remove: quote IDs to delete, conflicts: count }
+ */
+function mergeBackupQuotes(existing, imported, conflictPolicy) {
+    const put = [];
+    const remove = [];
+    let conflicts = 0;
+    const now = new Date().toISOString();
+
+    imported.forEach(quote => {
+        const match = existing.find(saved => saved.id === quote.id ||
+            (!!quote.quoteNumber && saved.quoteNumber === quote.quoteNumber));
+
+        if (!match) {
+            put.push(quote);
+            return;
         }
-        if (state.hoodCleaningFrequency > 1) {
-            hoodDetails += `Frequency: ${state.hoodCleaningFrequency} times (with discount)`;
+        if (JSON.stringify(match) === JSON.stringify(quote)) return;
+
+        conflicts++;
+        if (conflictPolicy === 'both') {
+            put.push({ ...quote, ...getQuoteNumbering(null, quote, now), id: generateId('q-'), updatedAt: now });
+        } else if (conflictPolicy === 'newer' && quote.updatedAt > match.updatedAt) {
+            if (match.id !== quote.id) remove.push(match.id);
+            put.push(quote);
         }
+    });
 
-        if (state.largeHoods > 0 || state.smallHoods > 0) {
-            hoodDetails += `<br>Labor: ${state.hoodLaborCostPerc}%, Materials: ${state.hoodMaterialCostPerc}% of price`;
+    return { put, remove, conflicts };
+}
+
+/**
+ * Merge backed-up rate cards into the profiles. A profile whose ID is taken by
+ * a different rate card is added as a copy.
+ * @param {Object[]} existing - Profiles in this browser
+ * @param {Object[]} imported - Profiles from the backup
+ * @returns {Object[]} - Merged profiles
+ */
+function mergeBackupProfiles(existing, imported) {
+    const merged = [...existing];
+
+    imported.forEach(profile => {
+        const match = merged.find(p => p.id === profile.id);
+        if (!match) {
+            merged.push(profile);
+        } else if (JSON.stringify(match.config) !== JSON.stringify(profile.config) || match.name !== profile.name) {
+            merged.push({ ...profile, id: generateId('p-'), name: `${profile.name} (imported)` });
         }
+    });
 
-        setHTML('hoodCleaningDetails', hoodDetails);
+    return merged;
+}
 
-        // Hide subcontractor-related rows
-        setDisplay('extraBenefitRow', false);
-        setDisplay('subcontractorSavingRow', false);
-    }
+/**
+ * Merge backed-up customers into the directory. A customer already in this
+ * browser is replaced only by a more recently updated copy.
+ * @param {Object[]} existing - Customers in this browser
+ * @param {Object[]} imported - Customers from the backup
+ * @returns {Object[]} - Customers to write
+ */
+function mergeBackupCustomers(existing, imported) {
+    return imported.filter(customer => {
+        const match = existing.find(c => c.id === customer.id);
+        return !match || (customer.updatedAt || '') > (match.updatedAt || '');
+    });
 }
 
-// ===== Calculation Engine =====
+/**
+ * Keep the quote number counter ahead of every number in use
+ * @param {Object} local - Counter in this browser
+ * @param {Object} [imported] - Counter from the backup
+ * @returns {Object} - { year, lastNumber }
+ */
+function mergeQuoteCounters(local, imported) {
+    if (!imported || imported.year !== local.year) return local;
+    return { year: local.year, lastNumber: Math.max(local.lastNumber, Number(imported.lastNumber) || 0) };
+}
 
 /**
- * Perform all calculations and update the UI
+ * Restore a backup into this browser
+ * @param {Object} backup - Validated backup
+ * @param {string} mode - 'merge' keeps local data and adds the backup; 'replace' discards local data
+ * @param {string} conflictPolicy - How merge resolves matching quotes ('newer', 'both' or 'existing')
+ * @returns {Promise<Object>} - { quotes: quotes written, customers: customers written, conflicts }
  */
-function calculateAll() {
-    if (!validateAllInputs()) return;
+function restoreBackup(backup, mode, conflictPolicy) {
+    const profiles = backup.profiles.map(profile => ({ ...profile, config: normalizeConfig(profile.config) }));
+    const customers = (backup.customers || []).map(customer => ({ sites: [], ...customer }));
+    const isReplace = mode === 'replace';
+
+    // Settle the counter first so quotes kept side by side take fresh numbers
+    const counter = mergeQuoteCounters(isReplace ? { year: new Date().getFullYear(), lastNumber: 0 } : getQuoteCounter(),
+        backup.quoteCounter);
+    localStorage.setItem(QUOTE_COUNTER_STORAGE_KEY, JSON.stringify(counter));
+
+    if (isReplace) {
+        state.profiles = profiles;
+        state.activeProfileId = backup.activeProfileId;
+        state.settings = normalizeSettings(backup.settings);
+        state.options = deepClone({ ...DEFAULT_OPTIONS, ...backup.options });
+        applyPreferences(backup.preferences);
+        persistPreferences();
+    } else {
+        state.profiles = mergeBackupProfiles(state.profiles, profiles);
+    }
+    state.activeProfileId = getActiveProfile().id;
+    state.config = getActiveProfile().config;
+    state.quoteConfig = null;
+    state.quoteCustomer = null;
+    state.activeQuote = null;
+    persistProfiles();
+    persistSettings();
+
+    const pending = isReplace
+        ? quoteStore.clear().then(() => ({ put: backup.quotes, remove: [], conflicts: 0 }))
+        : quoteStore.getAll().then(existing => mergeBackupQuotes(existing, backup.quotes, conflictPolicy));
+
+    const pendingCustomers = isReplace
+        ? customerStore.clear().then(() => customers)
+        : customerStore.getAll().then(existing => mergeBackupCustomers(existing, customers));
+
+    return Promise.all([pending, pendingCustomers]).then(([{ put, remove, conflicts }, customerPut]) =>
+        Promise.all([
+            ...remove.map(id => quoteStore.delete(id)),
+            ...put.map(quote => quoteStore.put(quote)),
+            ...customerPut.map(customer => customerStore.put(customer))
+        ]).then(() => ({ quotes: put.length, customers: customerPut.length, conflicts })));
+}
 
-    // Set loading state
-    setLoadingState(true);
+/**
+ * Import a backup file chosen by the user
+ * @param {File} file - Backup file
+ */
+function importBackup(file) {
+    const mode = $('importModeSelect').value;
+    const conflictPolicy = $('importConflictSelect').value;
 
-    // Use setTimeout to allow the browser to update the UI with the loading state
-    setTimeout(() => {
+    readFileAsText(file).then(text => {
+        let backup;
         try {
-            const {
-                useSubcontractor, subcontractorCost, workers, hours, days, materialsPerDay,
-                equipmentPerDay, largeHoods, smallHoods, hoodCleaningFrequency,
-                hoodLaborCostPerc, hoodMaterialCostPerc, isHoliday, outsideHouston, includeInsurance,
-                config, options
-            } = state;
-
-            // Calculate hood cleaning costs first
-            let hoodCleaningCost = 0, showHoodCleaning = false;
-            let hoodLaborCost = 0, hoodMaterialCost = 0;
-
-            if (largeHoods > 0 || smallHoods > 0) {
-                hoodCleaningCost = ((largeHoods * config.largeHoodPrice) +
-                    (smallHoods * config.smallHoodPrice)) * hoodCleaningFrequency;
-
-                // Apply quantity discount
-                if (hoodCleaningFrequency > 1) {
-                    hoodCleaningCost *= (0.9 - (Math.min(5, hoodCleaningFrequency) - 1) * 0.05);
-                }
-
-                // Calculate hood labor and material costs
-                hoodLaborCost = hoodCleaningCost * (hoodLaborCostPerc / 100);
-                hoodMaterialCost = hoodCleaningCost * (hoodMaterialCostPerc / 100);
-
-                showHoodCleaning = true;
-            }
-
-            // Regular labor cost calculation
-            let supervisors = 0, regularWorkers = workers;
-            let regularLaborCost = 0;
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
 
-            if (workers > 0) {
-                if (days === 1 && workers > 1) {
-                    supervisors = 1;
-                    regularWorkers = workers - 1;
-                }
+        const problems = validateBackup(backup);
+        if (problems.length) throw new Error(problems.join(' '));
 
-                regularLaborCost = (regularWorkers * config.regularPayRate * hours * days) +
-                    (supervisors * config.supervisorPayRate * hours * days);
-            }
+        if (mode === 'replace' &&
+            !confirm('Replace all saved quotes, customers, rate cards and settings in this browser with the backup? This cannot be undone.')) {
+            return null;
+        }
 
-            // Total labor cost (regular labor + hood labor)
-            const laborCost = regularLaborCost + hoodLaborCost;
-            const laborTax = laborCost * 0.17; // 17% tax on labor costs
+        return restoreBackup(backup, mode, conflictPolicy);
+    }).then(summary => {
+        if (!summary) return;
 
-            // Worker's Compensation
-            const workCompCost = includeInsurance ? (laborCost * config.workCompRate / 100) : 0;
+        updateUIFromState();
+        calculateAll();
+        loadSavedQuotes();
+        loadCustomers();
+        const conflictText = summary.conflicts ? ` ${summary.conflicts} matching quotes were resolved.` : '';
+        showNotification(`Backup imported: ${summary.quotes} quotes and ${summary.customers} customers restored.${conflictText}`,
+            'success', 5000);
+    }).catch(error => {
+        console.error('Error importing backup:', error);
+        showNotification(`The backup could not be imported. ${escapeHTML(error.message)}`, 'error', 6000);
+    });
+}
 
-            // Transport cost calculation
-            let transportCost = 0;
-            if (options.includeTransport) {
-                // Choose appropriate transport cost based on location
-                const dailyTransportCost = outsideHouston ?
-                    config.outsideHoustonTransportCostPerDay : config.transportCostPerDay;
-                transportCost = dailyTransportCost * days;
+// ===== CSV Export =====
 
-                // Apply discounts for longer contracts
-                if (days > 7) transportCost *= 0.8;
-                if (days > 21) transportCost *= 0.7;
-            }
+const OPERATIONAL_COST_LINES = [
+    { key: 'regularSupplies', label: 'Regular supplies', option: 'regularSuppliesPercentage' },
+    { key: 'additionalEquipment', label: 'Additional equipment', option: 'additionalEquipmentPercentage' },
+    { key: 'uniformSafety', label: 'Uniform & safety', option: 'uniformSafetyPercentage' },
+    { key: 'communications', label: 'Communications', option: 'communicationsPercentage' },
+    { key: 'overhead', label: 'Overhead', option: 'overheadPercentage' }
+];
 
-            // Materials and equipment (regular + hood materials)
-            const materialsCost = options.includeMaterials ? (materialsPerDay * days) + hoodMaterialCost : hoodMaterialCost;
-            const equipmentCost = options.includeEquipment ? equipmentPerDay * days : 0;
+/**
+ * Format a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+
+    // Keep spreadsheets from reading text as a formula
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-            // Base costs sum
-            const baseCosts = laborCost + laborTax + workCompCost + transportCost +
-                materialsCost + equipmentCost + hoodCleaningCost;
+/**
+ * Build CSV text from rows of cells. Starts with a byte order mark so Excel reads it as UTF-8.
+ * @param {Array[]} rows - Rows, the first being the header
+ * @returns {string} - CSV text
+ */
+const buildCsv = rows => '\uFEFF' + rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
 
-            // Operational costs calculation
-            const regularSuppliesCost = baseCosts * (options.regularSuppliesPercentage / 100);
-            const additionalEquipmentCost = baseCosts * (options.additionalEquipmentPercentage / 100);
-            const uniformSafetyCost = baseCosts * (options.uniformSafetyPercentage / 100);
-            const communicationsCost = baseCosts * (options.communicationsPercentage / 100);
-            const overheadCost = baseCosts * (options.overheadPercentage / 100);
+/**
+ * List every line of the calculated breakdown for the spreadsheet export
+ * @param {Object} results - Calculation results
+ * @returns {Array[]} - Rows of [section, item, details, amount]
+ */
+function getBreakdownCsvRows(results) {
+    const { options } = state;
+    const rows = [
+        ['Quote', 'Quote number', state.activeQuote && state.activeQuote.quoteNumber ? formatQuoteNumber(state.activeQuote) : 'Draft', null],
+        ['Quote', 'Client / job', state.activeQuote ? state.activeQuote.name : '', null],
+        ['Quote', 'Rate card', getPricingProfileName(), null],
+        ['Quote', 'Date', new Date().toISOString().slice(0, 10), null]
+    ];
+
+    getQuoteLineItems(results).forEach(item => {
+        rows.push([item.indent ? 'Cost detail' : 'Cost', item.description, item.details, item.amount]);
+
+        if (item.description === 'Operational costs') {
+            OPERATIONAL_COST_LINES.forEach(line => rows.push(['Cost detail', line.label,
+                `${options[line.option]}% of base costs`, results.operationalCostLines[line.key]]));
+        }
+    });
 
-            // Total operational costs
-            const operationalCosts = regularSuppliesCost + additionalEquipmentCost +
-                uniformSafetyCost + communicationsCost + overheadCost;
+    rows.push(
+        ['Total', 'Subtotal', '', results.subtotal],
+        ['Total', 'Residual', options.enableResidualPercentage ? `${options.residualPercentageValue}%` : 'Not applied', results.residualPercentageAmount],
+        ['Total', 'Service markup', `${results.markupPercentage}%`, results.markup],
+        ['Total', 'Holiday surcharge', state.isHoliday ? '25%' : 'Not applied', results.holidaySurcharge],
+        ['Total', 'Total price', '', results.totalPrice],
+        ['Total', 'General liability insurance', !state.includeInsurance ? 'Not applied' :
+            (results.glMinimumApplied ? 'Minimum premium' : `$${getPricingConfig().glRate} per $1,000`), results.generalLiabilityCost],
+        ...results.coverageLines.map(line => ['Total', line.name, 'Add-on coverage', line.amount]),
+        ['Total', 'Initial fee', options.enableInitialFee ? '' : 'Not applied', results.initialFeeAmount],
+        ['Total', 'Rounding adjustment', options.enableRounding ? `${options.roundingMethod} to ${options.roundingValue}` : 'Not applied', results.roundingAdjustment],
+        ['Total', 'Grand total', '', results.grandTotal],
+        ['Profit', 'Net profit', '', results.netProfit]
+    );
+
+    if (options.enableCommissionSplit) {
+        results.splitCommissions.forEach((split, index) =>
+            rows.push(['Profit', `Commission ${index + 1}`, `${split.percentage}%`, split.amount]));
+    } else {
+        rows.push(['Profit', 'Sales commission', `${options.commissionPercentage}%`, results.salesCommission]);
+    }
 
-            // Subtotal
-            const internalCostSubtotal = baseCosts + operationalCosts;
-            const directCosts = internalCostSubtotal;
-            const subtotal = internalCostSubtotal;
+    rows.push(
+        ['Profit', 'Final company profit', '', results.finalCompanyProfit],
+        ['Profit', 'Cost percentage', `${results.costPercentage}% of total price`, null]
+    );
 
-            // Apply residual percentage
-            let residualPercentageAmount = 0;
-            let adjustedSubtotal = subtotal;
+    return [['Section', 'Item', 'Details', 'Amount'], ...rows];
+}
 
-            if (options.enableResidualPercentage) {
-                residualPercentageAmount = subtotal * (options.residualPercentageValue / 100);
-                adjustedSubtotal += residualPercentageAmount;
-            }
+/**
+ * Download the current quote's cost breakdown as CSV
+ */
+function exportBreakdownCsv() {
+    downloadTextFile(buildCsv(getBreakdownCsvRows(state.results)), getQuoteFileName('csv'), 'text/csv');
+    showNotification('Cost breakdown exported as CSV.', 'success');
+}
 
-            // Calculate markup percentage
-            let markupPercentage = calculateMarkupPercentage(days);
+/**
+ * Build one pipeline-report row per saved quote
+ * @param {Object[]} quotes - Saved quotes
+ * @returns {Array[]} - Rows, the first being the header
+ */
+function getSavedQuotesCsvRows(quotes) {
+    // Base costs and operational costs make up the subtotal, and the amounts from the
+    // subtotal through the rounding adjustment add up to the grand total
+    const splitCount = Math.max(0, ...quotes.map(quote => (quote.results.splitCommissions || []).length));
+    const splitHeaders = Array.from({ length: splitCount }, (_, index) => [`Commission ${index + 1} %`, `Commission ${index + 1}`]);
+    const header = ['Quote number', 'Revision', 'Client / job', 'Rate card', 'Created', 'Updated', 'Days', 'Headcount',
+        'Base costs', 'Operational costs', 'Subtotal', 'Residual %', 'Residual', 'Markup %', 'Markup', 'Holiday surcharge',
+        'Total price', 'General liability', 'Add-on coverage', 'Initial fee', 'Rounding adjustment', 'Grand total',
+        'Net profit', 'Commission %', ...splitHeaders.flat(), 'Sales commission', 'Final company profit', 'Cost %'];
+
+    const rows = quotes.map(quote => {
+        const { results, inputs } = quote;
+        const options = { ...DEFAULT_OPTIONS, ...quote.options };
+        const splits = results.splitCommissions || [];
+        const commissionPerc = options.enableCommissionSplit ?
+            splits.reduce((sum, split) => sum + split.percentage, 0) : options.commissionPercentage;
+        return [
+            quote.quoteNumber || '', quote.quoteNumber ? getRevisionLabel(quote.revision || 0) : '', quote.name,
+            quote.profileName || '', (quote.createdAt || '').slice(0, 10), (quote.updatedAt || '').slice(0, 10),
+            inputs.days, getCrewHeadcount(normalizeInputs(inputs).crew),
+            results.subtotal - results.operationalCosts, results.operationalCosts, results.subtotal,
+            options.enableResidualPercentage ? options.residualPercentageValue : 0, results.residualPercentageAmount,
+            results.markupPercentage, results.markup, results.holidaySurcharge,
+            results.totalPrice, results.generalLiabilityCost, results.coverageCost || 0, results.initialFeeAmount,
+            results.roundingAdjustment, results.grandTotal,
+            results.netProfit, commissionPerc,
+            ...splitHeaders.flatMap((_, index) => splits[index] ? [splits[index].percentage, splits[index].amount] : ['', '']),
+            results.salesCommission, results.finalCompanyProfit, results.costPercentage
+        ];
+    });
 
-            // Target cost percentage optimization
-            const targetCostPercentage = 62;
-            let isOptimizationActive = false;
+    return [header, ...rows];
+}
 
-            if (options.enableAutoCostOptimization) {
-                isOptimizationActive = true;
-                markupPercentage = Math.round(((directCosts * 100 / targetCostPercentage) / adjustedSubtotal - 1) * 100);
-                markupPercentage = Math.max(20, markupPercentage);
-            }
+/**
+ * Download every saved quote as one CSV, one row per quote
+ */
+function exportSavedQuotesCsv() {
+    if (!state.savedQuotes.length) {
+        showNotification('There are no saved quotes to export.', 'warning');
+        return;
+    }
 
-            // Apply markup
-            const markup = adjustedSubtotal * (markupPercentage / 100);
+    const quotes = [...state.savedQuotes].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    downloadTextFile(buildCsv(getSavedQuotesCsvRows(quotes)),
+        `saved-quotes-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+    showNotification(`Exported ${quotes.length} saved quotes as CSV.`, 'success');
+}
 
-            // Holiday surcharge
-            const totalBeforeHoliday = adjustedSubtotal + markup;
-            const holidaySurcharge = isHoliday ? totalBeforeHoliday * 0.25 : 0;
+// ===== Quote Documents =====
 
-            // Total Price (before any rounding, initial fee, or insurance)
-            let totalPrice = totalBeforeHoliday + holidaySurcharge;
+// Output modes for the printed quote and the PDF
+// (the customer proposal's title is set with the branding)
+const DOCUMENT_MODES = {
+    customer: { label: 'Customer Proposal', title: 'Professional Kitchen Cleaning Proposal', fileSuffix: '' },
+    internal: { label: 'Internal Analysis', title: 'Internal Quote Analysis', fileSuffix: '-internal' },
+    workOrder: { label: 'Work Order', title: 'Kitchen Cleaning Work Order', fileSuffix: '-work-order' }
+};
 
-            // Calculate General Liability Insurance
-            const generalLiabilityCost = includeInsurance ? (totalPrice * config.glRate / 1000) : 0;
+// Largest logo accepted, to keep the settings within the browser's storage
+const MAX_LOGO_BYTES = 300 * 1024;
 
-            // Initial Fee
-            let initialFeeAmount = options.enableInitialFee ? options.initialFeeValue : 0;
+/**
+ * Split multi-line setting text into its non-empty lines
+ * @param {string} text - Setting text
+ * @returns {string[]} - Trimmed lines
+ */
+const splitLines = text => String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
 
-            // Calculate grand total with rounding
-            let preRoundingTotal = totalPrice + generalLiabilityCost + initialFeeAmount;
-            let roundingAdjustment = 0;
-            let grandTotal = preRoundingTotal;
+/**
+ * Get the title of a quote document
+ * @param {string} mode - DOCUMENT_MODES key
+ * @returns {string} - Document title
+ */
+function getDocumentTitle(mode) {
+    return (mode === 'customer' && state.settings.branding.proposalTitle) || DOCUMENT_MODES[mode].title;
+}
 
-            if (options.enableRounding) {
-                const roundedTotal = roundAmount(preRoundingTotal, 'up', 50);
-                roundingAdjustment = roundedTotal - preRoundingTotal;
-                grandTotal = roundedTotal;
-            }
+/**
+ * Get the address, license and insurance lines printed beside the company name
+ * @returns {string[]} - Letterhead lines
+ */
+function getDocumentLetterhead() {
+    const { address, licenseNumber, insuranceNumber } = state.settings.branding;
+    return [
+        ...splitLines(address),
+        licenseNumber && `License #${licenseNumber}`,
+        insuranceNumber && `Insurance #${insuranceNumber}`
+    ].filter(Boolean);
+}
 
-            // Calculate cost and profit percentages
-            let totalCostPercentage = 0;
-            let extraBenefit = 0;
+/**
+ * Get the contact lines at the foot of every quote document page
+ * @returns {string[]} - Footer lines, the first led by the company name
+ */
+function getDocumentFooterLines() {
+    const { companyName, footerText } = state.settings.branding;
+    const [first = '', ...rest] = splitLines(footerText);
+    return [[companyName, first].filter(Boolean).join(' | '), ...rest].filter(Boolean);
+}
 
-            if (useSubcontractor) {
-                totalCostPercentage = Math.round((subcontractorCost / totalPrice) * 100);
-                extraBenefit = internalCostSubtotal - subcontractorCost;
-            } else {
-                totalCostPercentage = Math.round((directCosts / totalPrice) * 100);
-            }
+/**
+ * Get the terms and conditions, one paragraph each, led by the validity period
+ * @returns {string[]} - Terms paragraphs
+ */
+function getDocumentTerms() {
+    const { validityDays, terms } = state.settings.branding;
+    return [`This quote is valid for ${validityDays} days.`, ...splitLines(terms)];
+}
 
-            const totalProfitPercentage = 100 - totalCostPercentage;
-            const isTargetAchieved = (totalCostPercentage === targetCostPercentage);
+/**
+ * Sections a quote document can contain, in document order. Which ones each mode
+ * shows is set on the Configuration tab (state.settings.documentSections); internal
+ * sections show costs, markup or profit and only go in the internal analysis.
+ * kind picks how rows(results) are laid out: 'details', 'lines', 'totals', 'tiers' or 'terms'.
+ */
+const DOCUMENT_SECTIONS = [
+    {
+        key: 'customer', label: 'Customer and site', title: 'Customer', kind: 'details',
+        rows: getCustomerDetails, available: () => !!getQuoteCustomer()
+    },
+    {
+        key: 'siteAccess', label: 'Site access notes', title: 'Site Access', kind: 'details',
+        rows: getSiteAccessDetails, available: () => getSiteAccessDetails().length > 0
+    },
+    { key: 'serviceLines', label: 'Scope of service (no prices)', title: 'Scope of Service', kind: 'lines', rows: getServiceLineItems },
+    {
+        key: 'scopeOfWork', label: 'Scope of work (numbered tasks)', title: 'Scope of Work', kind: 'lines',
+        rows: getScopeLineItems, available: () => getScopeLineItems().length > 0
+    },
+    { key: 'crew', label: 'Crew', title: 'Crew', kind: 'lines', rows: getCrewLineItems },
+    { key: 'costBreakdown', label: 'Cost breakdown', title: 'Cost Breakdown', kind: 'lines', rows: getQuoteLineItems, internalOnly: true },
+    { key: 'price', label: 'Price', title: 'Price', kind: 'totals', rows: getCustomerPriceLines },
+    { key: 'totals', label: 'Markup and totals', title: null, kind: 'totals', rows: getQuoteTotals, internalOnly: true },
+    {
+        key: 'tiers', label: 'Good/Better/Best options', title: 'Service Options', kind: 'tiers',
+        rows: () => getTierResults(), available: () => state.tiers.length > 0
+    },
+    { key: 'profitAnalysis', label: 'Profit analysis', title: 'Profit Analysis', kind: 'totals', rows: getProfitAnalysisLines, internalOnly: true },
+    { key: 'terms', label: 'Terms & conditions', title: null, kind: 'terms', rows: getDocumentTerms }
+];
 
-            // Net profit calculation
-            let netProfit = 0;
-            if (useSubcontractor) {
-                netProfit = grandTotal - subcontractorCost;
-            } else {
-                netProfit = grandTotal - directCosts;
-            }
+/**
+ * Get the sections to include in a quote document
+ * @param {string} mode - DOCUMENT_MODES key
+ * @returns {Array} - DOCUMENT_SECTIONS entries
+ */
+function getDocumentSections(mode) {
+    const selected = state.settings.documentSections[mode] || [];
+    return DOCUMENT_SECTIONS.filter(section => selected.includes(section.key) &&
+        !(mode !== 'internal' && section.internalOnly) &&
+        (!section.available || section.available()));
+}
 
-            // Sales commission calculation
-            let salesCommission = 0;
-            let splitCommissions = [];
+/**
+ * Get the quote details shown under a quote document's title
+ * @param {string} mode - DOCUMENT_MODES key
+ * @returns {Array} - [label, value] pairs
+ */
+function getDocumentDetails(mode) {
+    const dateFormat = { year: 'numeric', month: 'long', day: 'numeric' };
+    const currentDate = new Date();
+    const validUntil = new Date(currentDate);
+    validUntil.setDate(validUntil.getDate() + state.settings.branding.validityDays);
+
+    const details = [['Quote #', getDocumentQuoteNumber()]];
+    if (mode !== 'workOrder') details.push(['Valid until', validUntil.toLocaleDateString('en-US', dateFormat)]);
+    details.push(['Date', currentDate.toLocaleDateString('en-US', dateFormat)]);
+    if (mode === 'internal') details.push(['Rate card', getPricingProfileName()]);
+
+    const attached = getQuoteCustomer();
+    if (attached) {
+        details.push(['Customer', attached.customer.company]);
+        if (attached.site) details.push(['Site', attached.site.name]);
+    }
+    return details;
+}
 
-            if (options.enableCommissionSplit) {
-                // Calculate each split commission
-                let totalCommissionPercentage = 0;
-                splitCommissions = options.commissionSplits.map(percentage => {
-                    totalCommissionPercentage += percentage;
-                    const commissionAmount = netProfit * (percentage / 100);
-                    return { percentage, amount: commissionAmount };
-                });
-
-                // Total commission amount
-                salesCommission = netProfit * (totalCommissionPercentage / 100);
-            } else {
-                // Standard commission
-                salesCommission = netProfit * (options.commissionPercentage / 100);
-            }
+/**
+ * Build the customer, billing contact and site details of the quote
+ * @returns {Array} - [label, value] pairs
+ */
+function getCustomerDetails() {
+    const attached = getQuoteCustomer();
+    if (!attached) return [];
+
+    const { customer, site } = attached;
+    const rows = [
+        ['Company', customer.company],
+        ['Billing contact', [customer.contactName, customer.contactPhone, customer.contactEmail].filter(Boolean).join(', ')],
+        ['Billing address', customer.billingAddress]
+    ];
+    if (site) {
+        rows.push(
+            ['Service site', site.name],
+            ['Site address', site.address],
+            ['Site contact', [site.contactName, site.contactPhone].filter(Boolean).join(', ')]
+        );
+    }
+    return rows.filter(([, value]) => value);
+}
 
-            // Final profit
-            const finalCompanyProfit = netProfit - salesCommission;
-
-            // Save results in state for easier access
-            state.results = {
-                laborCost,
-                laborTax,
-                workCompCost,
-                transportCost,
-                materialsCost,
-                equipmentCost,
-                hoodCleaningCost,
-                operationalCosts,
-                subtotal,
-                residualPercentageAmount,
-                markup,
-                markupPercentage,
-                holidaySurcharge,
-                totalPrice,
-                generalLiabilityCost,
-                initialFeeAmount,
-                roundingAdjustment,
-                grandTotal,
-                netProfit,
-                costPercentage: totalCostPercentage,
-                profitPercentage: totalProfitPercentage,
-                salesCommission,
-                finalCompanyProfit,
-                extraBenefit,
-                splitCommissions,
-                isOptimizationActive,
-                isTargetAchieved
-            };
+/**
+ * Build the access notes of the quote's service site
+ * @returns {Array} - [label, value] pairs; empty without notes
+ */
+function getSiteAccessDetails() {
+    const attached = getQuoteCustomer();
+    return attached && attached.site && attached.site.accessNotes ? [['Access notes', attached.site.accessNotes]] : [];
+}
 
-            // Update UI based on calculations
-            updateUIForSubcontractor(useSubcontractor, internalCostSubtotal, subcontractorCost, extraBenefit);
+/**
+ * Build the crew for the work order, without pay rates
+ * @param {Object} results - Quote results
+ * @returns {Array} - Line items ({ description, details, amount: null, indent })
+ */
+function getCrewLineItems(results) {
+    return results.laborLines.filter(line => line.count).map(line => ({
+        description: line.roleName,
+        details: `${line.count} ${line.count === 1 ? 'person' : 'people'} × ${line.hours} hrs per day`,
+        amount: null,
+        indent: false
+    }));
+}
 
-            // Show/hide rows based on conditions
-            setDisplay('holidayRow', isHoliday);
-            setDisplay('hoodCleaningRow', showHoodCleaning);
-            setDisplay('roundingRow', options.enableRounding);
-            setDisplay('initialFeeRow', options.enableInitialFee);
-            setDisplay('residualPercentageRow', options.enableResidualPercentage);
-            setDisplay('workCompRow', includeInsurance);
-            setDisplay('generalLiabilityRow', includeInsurance);
-            setDisplay('grandTotalRow', true); // Always show
-            setDisplay('salesCommissionRow', !options.enableCommissionSplit);
-            setDisplay('splitCommissionRows', options.enableCommissionSplit);
+/**
+ * Build the customer's scope of service: what is done, without costs
+ * @param {Object} results - Quote results
+ * @returns {Array} - Line items ({ description, details, amount: null, indent })
+ */
+function getServiceLineItems(results) {
+    const items = [];
+    const addItem = (description, details = '', indent = false) =>
+        items.push({ description, details, amount: null, indent });
+
+    // Job days fill the service days of the week in order, as they are priced
+    const serviceDays = WEEK_DAYS.filter(day => state.serviceDays.includes(day));
+    const weekDays = serviceDays.length ? serviceDays : WEEK_DAYS;
+    const dayNames = weekDays.slice(0, state.days).map(day => day.charAt(0).toUpperCase() + day.slice(1)).join(', ');
+    const headcount = getCrewHeadcount(state.crew);
+    let schedule = state.days <= weekDays.length ?
+        `${state.days} ${state.days === 1 ? 'day' : 'days'} (${dayNames})` : `${state.days} days on ${dayNames} each week`;
+    schedule += `, starting ${state.shiftStart}`;
+    if (headcount > 0 && !state.useSubcontractor) schedule += `, crew of ${headcount}`;
+    addItem('Kitchen cleaning', schedule);
+
+    if (results.hoodLines.length) {
+        addItem('Hood cleaning');
+        results.hoodLines.forEach(line => {
+            const size = line.linearFeet !== null ? ` (${line.linearFeet} linear ft)` : '';
+            addItem(line.name, `${line.quantity}${size}, ${line.frequency} ${line.frequency === 1 ? 'cleaning' : 'cleanings'}`, true);
+        });
+    }
+    if (results.serviceLines.length) {
+        addItem('Add-on services');
+        results.serviceLines.forEach(line => addItem(line.name, `${line.quantity} ${line.unit}`, true));
+    }
 
-            // Update split commission displays
-            if (options.enableCommissionSplit) {
-                updateCommissionSplitDisplay(splitCommissions);
-                const totalSplitPercent = options.commissionSplits.reduce((sum, value) => sum + value, 0);
-                setContent('totalCommissionSplitDisplay', totalSplitPercent);
-                setContent('totalSplitCommission', formatCurrency(salesCommission));
-            }
+    return items;
+}
 
-            // Show/hide optimization indicators
-            setDisplay('optimizationBadge', isOptimizationActive);
-            setDisplay('targetAchievedBadge', isTargetAchieved);
+/**
+ * Build the customer's price: the service price, then anything the customer asked
+ * for separately (add-on coverage, the initial fee) and the total
+ * @param {Object} results - Quote results
+ * @returns {Array} - Totals ({ label, amount, emphasis })
+ */
+function getCustomerPriceLines(results) {
+    const extras = [
+        ...results.coverageLines.map(line => ({ label: line.name, amount: line.amount })),
+        ...(state.options.enableInitialFee ? [{ label: 'Initial fee', amount: results.initialFeeAmount }] : [])
+    ];
+    const extrasTotal = extras.reduce((sum, line) => sum + line.amount, 0);
+
+    return [
+        ...(extras.length ? [{ label: 'Service', amount: results.grandTotal - extrasTotal }, ...extras] : []),
+        { label: 'Total price', amount: results.grandTotal, emphasis: true }
+    ];
+}
 
-            // Update operational costs display
-            setContent('operationalCostsValue', formatCurrency(operationalCosts));
-            setContent('regularSuppliesValue', formatCurrency(regularSuppliesCost));
-            setContent('additionalEquipmentValue', formatCurrency(additionalEquipmentCost));
-            setContent('uniformSafetyValue', formatCurrency(uniformSafetyCost));
-            setContent('communicationsValue', formatCurrency(communicationsCost));
-            setContent('overheadValue', formatCurrency(overheadCost));
+/**
+ * Build the profit analysis for the internal document
+ * @param {Object} results - Quote results
+ * @returns {Array} - Totals ({ label, amount, text, emphasis })
+ */
+function getProfitAnalysisLines(results) {
+    return [{ label: 'Cost percentage', text: `${results.costPercentage}%` }, ...getQuoteProfitLines(results)];
+}
 
-            if (options.enableInitialFee) {
-                setContent('initialFeeAmount', formatCurrency(initialFeeAmount));
-            }
+/**
+ * Build the quote document as HTML, for the print preview and for printing
+ * @param {string} mode - DOCUMENT_MODES key
+ * @returns {string} - Document HTML
+ */
+function buildDocumentHtml(mode) {
+    const { results } = state;
+    const money = amount => escapeHTML(formatCurrency(amount));
+
+    const sections = getDocumentSections(mode).map(section => {
+        const rows = section.rows(results);
+        let body = '';
+
+        if (section.kind === 'details') {
+            body = `<table class="document-details-table">${rows.map(([label, value]) =>
+                `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('')}</table>`;
+        } else if (section.kind === 'lines') {
+            const showAmounts = rows.some(item => item.amount !== null);
+            body = `<table class="document-table">
+                <thead><tr><th>Description</th><th>Details</th>${showAmounts ? '<th>Amount</th>' : ''}</tr></thead>
+                <tbody>${rows.map(item => `<tr${item.indent ? ' class="indent"' : ''}>
+                    <td>${escapeHTML(item.description)}</td><td>${escapeHTML(item.details)}</td>
+                    ${showAmounts ? `<td>${item.amount !== null ? money(item.amount) : ''}</td>` : ''}</tr>`).join('')}</tbody>
+            </table>`;
+        } else if (section.kind === 'totals') {
+            body = `<table class="document-totals">${rows.map(row =>
+                `<tr${row.emphasis ? ' class="emphasis"' : ''}><td>${escapeHTML(row.label)}</td>` +
+                `<td>${row.text ? escapeHTML(row.text) : money(row.amount)}</td></tr>`).join('')}</table>`;
+        } else if (section.kind === 'tiers') {
+            body = `<table class="document-table">
+                <thead><tr><th>Option</th><th>Includes</th><th>Price</th></tr></thead>
+                <tbody>${rows.map(({ tier, inputs, results: tierResults }) => `<tr>
+                    <td>${escapeHTML(tier.name)}${tier.id === state.acceptedTierId ? ' <strong>(Accepted)</strong>' : ''}</td>
+                    <td>${escapeHTML(getTierSummary(tier, inputs))}</td><td>${money(tierResults.grandTotal)}</td></tr>`).join('')}</tbody>
+            </table>`;
+        } else if (section.kind === 'terms') {
+            body = `<div class="document-terms"><h4>Terms &amp; Conditions</h4>${rows.map(term =>
+                `<p>${escapeHTML(term)}</p>`).join('')}</div>`;
+        }
 
-            if (options.enableResidualPercentage) {
-                setContent('residualPercentageDisplay', options.residualPercentageValue);
-                setContent('residualPercentageAmount', formatCurrency(residualPercentageAmount));
-            }
+        return `<section>${section.title ? `<h3>${escapeHTML(section.title)}</h3>` : ''}${body}</section>`;
+    }).join('');
 
-            // Display rounding details
-            if (options.enableRounding) {
-                setHTML('roundingDetails', 'Rounding Grand Total up to the next $50');
-            }
+    const { companyName, logoDataUrl, primaryColor, accentColor } = state.settings.branding;
+    const letterhead = getDocumentLetterhead();
 
-            // Subcontractor UI updates
-            setDisplay('subcontractorRow', useSubcontractor);
-            setDisplay('extraBenefitRow', useSubcontractor);
+    return `
+        <div class="document-brand" style="--brand-blue: ${escapeHTML(primaryColor)}; --brand-red: ${escapeHTML(accentColor)};">
+        <div class="document-header">
+            ${logoDataUrl ? `<img class="document-logo" src="${escapeHTML(logoDataUrl)}" alt="">` : ''}
+            <div class="document-heading">
+                <div class="document-company">${escapeHTML(companyName)}</div>
+                <div class="document-title">${escapeHTML(getDocumentTitle(mode))}</div>
+            </div>
+            ${letterhead.length ? `<div class="document-letterhead">${letterhead.map(line => `<div>${escapeHTML(line)}</div>`).join('')}</div>` : ''}
+        </div>
+        <div class="document-details">${getDocumentDetails(mode).map(([label, value]) =>
+            `<div><strong>${escapeHTML(label)}:</strong> ${escapeHTML(value)}</div>`).join('')}</div>
+        ${sections}
+        <div class="document-footer">${getDocumentFooterLines().map(line => `<div>${escapeHTML(line)}</div>`).join('')}</div>
+        </div>
+    `;
+}
 
-            // Operational costs details display
-            setDisplay('operationalCostsDetails', $('operationalCostsRow').classList.contains('expanded'));
-            setDisplay('regularSuppliesRow', !useSubcontractor, 'flex');
-            setDisplay('additionalEquipmentRow', !useSubcontractor, 'flex');
-            setDisplay('uniformSafetyRow', !useSubcontractor, 'flex');
+/**
+ * Render the section choices for each document mode on the Configuration tab
+ */
+function renderDocumentSectionSettings() {
+    const modes = Object.keys(DOCUMENT_MODES);
+    const header = modes.map(mode => `<th>${escapeHTML(DOCUMENT_MODES[mode].label)}</th>`).join('');
+
+    setHTML('documentSectionsTable', `
+        <table class="config-table">
+            <thead><tr><th>Section</th>${header}</tr></thead>
+            <tbody>${DOCUMENT_SECTIONS.map(section => `<tr><td>${escapeHTML(section.label)}</td>${modes.map(mode => {
+                const locked = mode !== 'internal' && section.internalOnly;
+                const checked = !locked && state.settings.documentSections[mode].includes(section.key);
+                return `<td><input type="checkbox" data-mode="${mode}" data-section="${section.key}"` +
+                    `${checked ? ' checked' : ''}${locked ? ' disabled title="Internal only"' : ''}` +
+                    ` aria-label="${escapeHTML(`${section.label} in the ${DOCUMENT_MODES[mode].label.toLowerCase()}`)}"></td>`;
+            }).join('')}</tr>`).join('')}</tbody>
+        </table>
+    `);
+}
 
-            // Cost percentage display
-            setContent('totalCostPercentage', `${totalCostPercentage}%`);
-            setContent('totalProfitPercentage', `${totalProfitPercentage}%`);
-            $('costPercentageFill').style.width = `${totalCostPercentage}%`;
-            $('costPercentageFill').setAttribute('aria-valuenow', totalCostPercentage);
-            setContent('percentageTextOverlay', `${totalCostPercentage}%`);
+/**
+ * Read the section choices for each document mode back from the Configuration tab
+ * @returns {Object} - Section keys by mode
+ */
+function readDocumentSectionSettings() {
+    const sections = {};
+    Object.keys(DOCUMENT_MODES).forEach(mode => {
+        sections[mode] = Array.from(document.querySelectorAll(`#documentSectionsTable [data-mode="${mode}"]:checked`))
+            .map(checkbox => checkbox.dataset.section);
+    });
+    return sections;
+}
 
-            // Update total and grand total
-            setContent('totalPrice', formatCurrency(totalPrice));
-            setContent('generalLiabilityCost', formatCurrency(generalLiabilityCost));
-            setContent('workCompCost', formatCurrency(workCompCost));
-            setContent('roundingAdjustment', formatCurrency(roundingAdjustment));
-            setContent('grandTotal', formatCurrency(grandTotal));
+// Branding settings fields, by setting key
+const BRANDING_FIELDS = {
+    companyName: 'brandCompanyName',
+    address: 'brandAddress',
+    licenseNumber: 'brandLicenseNumber',
+    insuranceNumber: 'brandInsuranceNumber',
+    primaryColor: 'brandPrimaryColor',
+    accentColor: 'brandAccentColor',
+    proposalTitle: 'brandProposalTitle',
+    footerText: 'brandFooterText',
+    validityDays: 'brandValidityDays',
+    terms: 'brandTerms'
+};
 
-            // Update cost display
-            setContent('laborCost', formatCurrency(laborCost));
-            setContent('laborTax', formatCurrency(laborTax));
-            setContent('transportCost', formatCurrency(transportCost));
-            setContent('materialsCost', formatCurrency(materialsCost));
-            setContent('equipmentCost', formatCurrency(equipmentCost));
-            setContent('hoodCleaningCost', formatCurrency(hoodCleaningCost));
-            setContent('subtotal', formatCurrency(subtotal));
-            setContent('markup', formatCurrency(markup));
-            setContent('markupPercentage', markupPercentage);
-            setContent('profitMarkupPercentage', markupPercentage);
-            setContent('holidaySurcharge', formatCurrency(holidaySurcharge));
-            setContent('netProfit', formatCurrency(netProfit));
-            setContent('salesCommission', formatCurrency(salesCommission));
-            setContent('finalCompanyProfit', formatCurrency(finalCompanyProfit));
-            setContent('profitMarkup', formatCurrency(markup));
+/**
+ * Show the branding settings on the Configuration tab
+ */
+function renderBrandingSettings() {
+    const { branding } = state.settings;
+    Object.entries(BRANDING_FIELDS).forEach(([key, id]) => { $(id).value = branding[key]; });
+    state.ui.brandLogo = branding.logoDataUrl;
+    renderBrandLogoPreview();
+}
 
-            // Set color of cost percentage bar based on value
-            if (totalCostPercentage > 75) {
-                $('costPercentageFill').style.backgroundColor = '#e74c3c';
-                $('finalCompanyProfit').classList.add('low-profit');
-                $('finalCompanyProfit').classList.remove('high-profit');
-            } else if (totalCostPercentage > 65) {
-                $('costPercentageFill').style.backgroundColor = '#f39c12';
-                $('finalCompanyProfit').classList.remove('low-profit');
-                $('finalCompanyProfit').classList.remove('high-profit');
-            } else {
-                $('costPercentageFill').style.backgroundColor = '#27ae60';
-                $('finalCompanyProfit').classList.remove('low-profit');
-                $('finalCompanyProfit').classList.add('high-profit');
-            }
+/**
+ * Show the logo chosen in the branding settings
+ */
+function renderBrandLogoPreview() {
+    const logo = $('brandLogoPreview');
+    logo.src = state.ui.brandLogo || '';
+    setDisplay('brandLogoPreview', !!state.ui.brandLogo, 'inline-block');
+    setDisplay('removeBrandLogoBtn', !!state.ui.brandLogo, 'inline-flex');
+}
 
-            // Special coloring for 62% target
-            if (isTargetAchieved) {
-                $('costPercentageFill').style.backgroundColor = 'var(--optimize-color)';
-            }
+/**
+ * Read the branding settings back from the Configuration tab
+ * @returns {Object} - Branding settings
+ */
+function readBrandingSettings() {
+    const branding = { logoDataUrl: state.ui.brandLogo || '' };
+    Object.entries(BRANDING_FIELDS).forEach(([key, id]) => { branding[key] = $(id).value.trim(); });
 
-            // Set markup details text based on option
-            let markupDetailsText = '';
-            if (isOptimizationActive) {
-                markupDetailsText = 'Automatically optimized for 62% cost ratio';
-                $('markupRow').classList.add('optimization-active');
-            } else if (options.useCustomMarkup) {
-                markupDetailsText = 'Using custom markup percentage';
-                $('markupRow').classList.remove('optimization-active');
-            } else {
-                markupDetailsText = `Calculated based on contract length of ${days} days`;
-                $('markupRow').classList.remove('optimization-active');
-            }
-            setHTML('markupDetails', markupDetailsText);
+    branding.companyName = branding.companyName || DEFAULT_SETTINGS.branding.companyName;
+    branding.validityDays = Math.max(1, Math.round(parseFloat(branding.validityDays)) || DEFAULT_SETTINGS.branding.validityDays);
+    return branding;
+}
 
-            // Highlight key values that have changed
-            highlightElement('grandTotal');
-            highlightElement('finalCompanyProfit');
-            highlightElement('netProfit');
-            highlightElement('totalCostPercentage');
+/**
+ * Load a logo chosen for the branding settings. It is kept in this browser
+ * as a data URL, so large images are refused.
+ * @param {File} file - Image file
+ */
+function loadBrandLogo(file) {
+    if (!/^image\/(png|jpeg)$/.test(file.type)) {
+        showNotification('Please choose a PNG or JPEG logo.', 'error');
+        return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+        showNotification(`The logo is too large. Please choose an image under ${MAX_LOGO_BYTES / 1024} KB.`, 'error');
+        return;
+    }
 
-            // Clear loading state
-            setLoadingState(false);
-        } catch (error) {
-            console.error("Calculation error:", error);
-            setLoadingState(false);
-            showNotification("There was an error during calculation. Please check your inputs.", "error");
-        }
-    }, 100); // Small delay to allow the loading indicator to render
+    readFileAsDataURL(file).then(dataUrl => {
+        state.ui.brandLogo = dataUrl;
+        renderBrandLogoPreview();
+        state.ui.hasUnsavedConfigChanges = true;
+        updateUnsavedChangesIndicator();
+    }).catch(error => {
+        console.error('Error reading logo:', error);
+        showNotification('The logo could not be read.', 'error');
+    });
 }
 
 // ===== PDF and Print Functions =====
@@ -2009,9 +5536,6 @@ function calculateAll() {
  * @param {string} mode - 'pdf' or 'print'
  */
 function preparePdfOrPrint(mode) {
-    // Add date stamp for printing
-    document.querySelector('.profit-section').setAttribute('data-print-date', new Date().toLocaleDateString());
-
     if (mode === 'print') {
         // Show print preview modal first
         showPrintPreview();
@@ -2021,210 +5545,536 @@ function preparePdfOrPrint(mode) {
 }
 
 /**
- * Show print preview modal
+ * Show print preview modal with the quote document in the selected mode
  */
 function showPrintPreview() {
-    // Check if modal exists
-    let modal = $('printPreviewModal');
-
-    // Create modal if it doesn't exist
-    if (!modal) {
-        modal = document.createElement('div');
-        modal.id = 'printPreviewModal';
-        modal.className = 'modal';
-        modal.innerHTML = `
-            <div class="modal-content">
-                <span class="close-modal" aria-label="Close preview">&times;</span>
-                <h2>Print Preview</h2>
-                <p>Your quote is ready to print.</p>
-                <div id="printPreviewContent"></div>
-                <div class="modal-actions">
-                    <button id="confirmPrintBtn" class="action-btn print-btn">
-                        <i class="fas fa-print" aria-hidden="true"></i> Print Quote
-                    </button>
-                    <button class="action-btn" id="cancelPrintBtn">
-                        Cancel
-                    </button>
-                </div>
-            </div>
-        `;
-        document.body.appendChild(modal);
+    const modal = $('printPreviewModal');
+    const mode = state.ui.documentMode;
 
-        // Add event listeners for the new modal
-        modal.querySelector('.close-modal').addEventListener('click', () => {
-            modal.classList.remove('visible');
-            setTimeout(() => { modal.style.display = 'none'; }, 300);
-        });
+    setContent('printPreviewModalTitle', `Print Preview: ${DOCUMENT_MODES[mode].label}`);
+    setHTML('printPreviewContent', buildDocumentHtml(mode));
 
-        $('cancelPrintBtn').addEventListener('click', () => {
-            modal.classList.remove('visible');
-            setTimeout(() => { modal.style.display = 'none'; }, 300);
-        });
+    // Show the modal
+    modal.style.display = 'block';
+    setTimeout(() => modal.classList.add('visible'), 10);
+}
 
-        $('confirmPrintBtn').addEventListener('click', () => {
-            modal.classList.remove('visible');
-            setTimeout(() => {
-                modal.style.display = 'none';
-                window.print();
-            }, 300);
+/**
+ * Build the cost line items for the quote document from the results.
+ * Rows marked as indented detail the row above them.
+ * @param {Object} results - Quote results
+ * @returns {Array} - Line items ({ description, details, amount, indent })
+ */
+function getQuoteLineItems(results) {
+    const config = getPricingConfig();
+    const items = [];
+    const addItem = (description, amount, details = '', indent = false) =>
+        items.push({ description, details, amount, indent });
+
+    addItem('Labor', results.laborCost - results.overtimeCost - results.shiftDifferentialCost);
+    results.laborLines.forEach(line => addItem(line.roleName, line.baseLaborCost, line.count ?
+        `${line.count} × ${line.hours} hrs × ${state.days} days at ${formatCurrency(line.payRate)}/hr` : '', true));
+
+    if (results.overtimeCost > 0) {
+        addItem('Overtime premium', results.overtimeCost, `${config.overtime.multiplier}× pay over the overtime thresholds`);
+    }
+    if (results.shiftDifferentialCost > 0) {
+        addItem('Shift differentials', results.shiftDifferentialCost, 'Night and weekend hours');
+    }
+
+    addItem('Payroll burden', results.laborTax, `${getPayrollBurdenRate(config.payrollBurden)}% employer taxes and benefits on labor`);
+    results.payrollBurdenLines.forEach(component =>
+        addItem(component.name, component.amount, describeBurdenComponent(component, false), true));
+    if (state.includeInsurance) {
+        addItem("Worker's compensation", results.workCompCost, 'By class code, per $100 of labor cost');
+        results.workCompLines.forEach(line => addItem(describeWorkCompClass(line), line.amount,
+            `$${line.ratePer100} per $100 on ${formatCurrency(line.payroll)} labor`, true));
+    }
+
+    if (results.transportCost > 0) {
+        const { transportZone, transportDiscountPerc } = results;
+        let details = `${transportZone.name}: ${formatCurrency(transportZone.ratePerDay)}/day × ${state.days} days`;
+        if (transportDiscountPerc > 0) details += ` less ${transportDiscountPerc}%`;
+        addItem('Transport', results.transportCost, details);
+    }
+    if (results.materialsCost > 0) {
+        addItem('Materials', results.materialsCost, state.options.includeMaterials ?
+            `${formatCurrency(state.materialsPerDay)}/day × ${state.days} days plus add-on materials` : 'Add-on materials');
+    }
+    if (results.equipmentCost > 0) {
+        addItem('Equipment', results.equipmentCost, `${formatCurrency(state.equipmentPerDay)}/day × ${state.days} days`);
+    }
+
+    if (results.hoodCleaningCost > 0) {
+        addItem('Hood cleaning', results.hoodCleaningCost);
+        results.hoodLines.forEach(line => {
+            const size = line.linearFeet !== null ? ` (${line.linearFeet} linear ft)` : '';
+            let details = `${line.quantity}${size} × ${line.frequency} cleanings at ${formatCurrency(line.unitPrice)}`;
+            if (line.discountPerc > 0) details += ` less ${line.discountPerc}%`;
+            addItem(line.name, line.amount, details, true);
         });
     }
+    if (results.servicesCost > 0) {
+        addItem('Add-on services', results.servicesCost);
+        results.serviceLines.forEach(line => addItem(line.name, line.amount,
+            `${line.quantity} ${line.unit} × ${formatCurrency(line.unitPrice)}`, true));
+    }
+
+    addItem('Operational costs', results.operationalCosts, 'Supplies, equipment, uniforms, communications and overhead');
+
+    if (state.useSubcontractor) {
+        addItem('Subcontractor cost', state.subcontractorCost, 'Costs above are reference costs for the final price');
+    }
 
-    // Clone summary content for preview
-    const previewContent = $('printPreviewContent');
-    previewContent.innerHTML = '';
+    return items;
+}
 
-    const contentClone = $('summaryContent').cloneNode(true);
+/**
+ * Build the totals for the quote document from the results
+ * @param {Object} results - Quote results
+ * @returns {Array} - Totals ({ label, amount, emphasis })
+ */
+function getQuoteTotals(results) {
+    const { options } = state;
+    const totals = [{ label: 'Subtotal', amount: results.subtotal }];
+    const addTotal = (label, amount, emphasis = false) => totals.push({ label, amount, emphasis });
 
-    // Remove action buttons from clone
-    const actionButtons = contentClone.querySelector('.action-buttons');
-    if (actionButtons) {
-        actionButtons.remove();
+    if (options.enableResidualPercentage) {
+        addTotal(`Residual (${options.residualPercentageValue}%)`, results.residualPercentageAmount);
     }
+    addTotal(`Service markup (${results.markupPercentage}%)`, results.markup);
+    if (state.isHoliday) addTotal('Holiday surcharge (25%)', results.holidaySurcharge);
+    addTotal('Total price', results.totalPrice);
+    if (state.includeInsurance) addTotal('General liability insurance', results.generalLiabilityCost);
+    results.coverageLines.forEach(line => addTotal(line.name, line.amount));
+    if (options.enableInitialFee) addTotal('Initial fee', results.initialFeeAmount);
+    if (options.enableRounding) addTotal('Rounding adjustment', results.roundingAdjustment);
+    addTotal('Grand total', results.grandTotal, true);
+
+    return totals;
+}
 
-    previewContent.appendChild(contentClone);
+/**
+ * Build the profit analysis lines for the quote document from the results
+ * @param {Object} results - Quote results
+ * @returns {Array} - Totals ({ label, amount, emphasis })
+ */
+function getQuoteProfitLines(results) {
+    const lines = [{ label: 'Net profit', amount: results.netProfit }];
 
-    // Show the modal
-    modal.style.display = 'block';
-    setTimeout(() => modal.classList.add('visible'), 10);
+    if (state.options.enableCommissionSplit) {
+        results.splitCommissions.forEach((split, index) =>
+            lines.push({ label: `Commission ${index + 1} (${split.percentage}%)`, amount: split.amount }));
+    } else {
+        lines.push({ label: `Sales commission (${state.options.commissionPercentage}%)`, amount: results.salesCommission });
+    }
+
+    lines.push({ label: 'Final company profit', amount: results.finalCompanyProfit, emphasis: true });
+    lines.push({ label: 'Cost percentage', amount: null, text: `${results.costPercentage}%` });
+
+    return lines;
 }
 
 /**
- * Generate a PDF of the quote
+ * Start a new PDF page when the next block doesn't fit
+ * @param {Object} pdf - PDF layout ({ doc, y, bottom, onNewPage })
+ * @param {number} height - Height of the next block
  */
-function generatePDF() {
-    // Check if jsPDF is available
-    const jsPdfAvailable = typeof window.jspdf !== 'undefined' || typeof jsPDF !== 'undefined';
+function ensurePdfSpace(pdf, height) {
+    if (pdf.y + height <= pdf.bottom) return;
 
-    if (jsPdfAvailable) {
-        // Generate PDF when jsPDF is loaded
-        showNotification("Preparing PDF...", "info");
+    pdf.doc.addPage();
+    pdf.y = 50;
+    if (pdf.onNewPage) pdf.onNewPage();
+}
 
-        try {
-            // Create a clone of results section
-            const quoteSummary = document.querySelector('#summaryContent').cloneNode(true);
+/**
+ * Draw a section title on the PDF
+ * @param {Object} pdf - PDF layout
+ * @param {string} title - Section title
+ */
+function drawPdfSectionTitle(pdf, title) {
+    const { doc } = pdf;
+    ensurePdfSpace(pdf, 40);
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.setTextColor(pdf.colors.primary);
+    doc.text(title, pdf.left, pdf.y);
+    doc.setDrawColor(pdf.colors.accent);
+    doc.setLineWidth(1.5);
+    doc.line(pdf.left, pdf.y + 6, pdf.left + 40, pdf.y + 6);
+    pdf.y += 24;
+}
 
-            // Remove action buttons from the clone
-            const actionButtons = quoteSummary.querySelector('.action-buttons');
-            if (actionButtons) {
-                actionButtons.remove();
-            }
+/**
+ * Draw the line-item table on the PDF, repeating its header on new pages.
+ * The amount column is left out when no item has an amount.
+ * @param {Object} pdf - PDF layout
+ * @param {Array} items - Line items from getQuoteLineItems() or getServiceLineItems()
+ */
+function drawPdfLineItems(pdf, items) {
+    const { doc, left, right } = pdf;
+    const showAmounts = items.some(item => item.amount !== null);
+    const detailsX = left + 170;
+    const detailsWidth = right - detailsX - (showAmounts ? 90 : 6);
+
+    const drawHeader = () => {
+        doc.setFillColor(pdf.colors.primary);
+        doc.rect(left, pdf.y - 12, right - left, 20, 'F');
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(10);
+        doc.setTextColor(255);
+        doc.text('Description', left + 6, pdf.y + 2);
+        doc.text('Details', detailsX, pdf.y + 2);
+        if (showAmounts) doc.text('Amount', right - 6, pdf.y + 2, { align: 'right' });
+        pdf.y += 22;
+    };
 
-            // Style modifications for PDF
-            const elements = quoteSummary.querySelectorAll('.result-section, .profit-section');
-            elements.forEach(el => {
-                el.style.backgroundColor = 'white';
-                el.style.boxShadow = 'none';
-                el.style.border = '1px solid #ccc';
-            });
+    ensurePdfSpace(pdf, 60);
+    drawHeader();
+    pdf.onNewPage = drawHeader;
 
-            // Create quote number
-            const quoteNumber = 'PFS-' + new Date().getFullYear() + '-' + Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    items.forEach((item, index) => {
+        doc.setFontSize(item.indent ? 9 : 10);
+        const descriptionLines = doc.splitTextToSize(item.description, 160 - (item.indent ? 12 : 0));
+        const detailLines = item.details ? doc.splitTextToSize(item.details, detailsWidth) : [];
+        const rowHeight = Math.max(descriptionLines.length, detailLines.length, 1) * 12 + 6;
 
-            // Create and format current date
-            const currentDate = new Date();
-            const formattedDate = currentDate.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
+        ensurePdfSpace(pdf, rowHeight);
 
-            // Set up PDF document
-            const { jsPDF } = window.jspdf;
-            const doc = new jsPDF({
-                orientation: 'p',
-                unit: 'pt',
-                format: 'a4',
-                compress: true
-            });
+        if (index % 2 === 1) {
+            doc.setFillColor(pdf.colors.stripe);
+            doc.rect(left, pdf.y - 11, right - left, rowHeight, 'F');
+        }
+
+        doc.setFont('helvetica', item.indent ? 'normal' : 'bold');
+        doc.setTextColor(item.indent ? 100 : 40);
+        doc.text(descriptionLines, left + (item.indent ? 18 : 6), pdf.y);
+
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(100);
+        doc.text(detailLines, detailsX, pdf.y);
+
+        if (item.amount !== null) {
+            doc.setTextColor(item.indent ? 100 : 40);
+            doc.text(formatCurrency(item.amount), right - 6, pdf.y, { align: 'right' });
+        }
+
+        pdf.y += rowHeight;
+    });
+
+    pdf.onNewPage = null;
+    pdf.y += 10;
+}
+
+/**
+ * Draw the proposal tiers as a comparison table on the PDF, marking the accepted tier
+ * @param {Object} pdf - PDF layout
+ * @param {Array} tierResults - Priced tiers from getTierResults()
+ */
+function drawPdfTierTable(pdf, tierResults) {
+    const { doc, left, right } = pdf;
+    const includesX = left + 130;
+    const includesWidth = right - includesX - 100;
+
+    ensurePdfSpace(pdf, 60);
+    doc.setFillColor(pdf.colors.primary);
+    doc.rect(left, pdf.y - 12, right - left, 20, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.setTextColor(255);
+    doc.text('Option', left + 6, pdf.y + 2);
+    doc.text('Includes', includesX, pdf.y + 2);
+    doc.text('Price', right - 6, pdf.y + 2, { align: 'right' });
+    pdf.y += 22;
+
+    tierResults.forEach(({ tier, inputs, results }) => {
+        const isAccepted = tier.id === state.acceptedTierId;
+        doc.setFontSize(10);
+        const includesLines = doc.splitTextToSize(getTierSummary(tier, inputs), includesWidth);
+        const rowHeight = Math.max(includesLines.length, isAccepted ? 2 : 1) * 12 + 10;
+
+        ensurePdfSpace(pdf, rowHeight);
+        if (isAccepted) {
+            doc.setFillColor(pdf.colors.stripe);
+            doc.rect(left, pdf.y - 11, right - left, rowHeight, 'F');
+        }
+
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(40);
+        doc.text(tier.name, left + 6, pdf.y);
+        doc.text(formatCurrency(results.grandTotal), right - 6, pdf.y, { align: 'right' });
+        if (isAccepted) {
+            doc.setFontSize(9);
+            doc.setTextColor(pdf.colors.accent);
+            doc.text('ACCEPTED', left + 6, pdf.y + 12);
+        }
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(100);
+        doc.text(includesLines, includesX, pdf.y);
+
+        doc.setDrawColor(220);
+        doc.setLineWidth(0.5);
+        doc.line(left, pdf.y + rowHeight - 11, right, pdf.y + rowHeight - 11);
+        pdf.y += rowHeight;
+    });
 
-            // Define colors
-            const brandBlue = '#03143A';
-            const brandRed = '#C70532';
+    pdf.y += 10;
+}
+
+/**
+ * Draw label/value rows (customer and site details) on the PDF
+ * @param {Object} pdf - PDF layout
+ * @param {Array} rows - [label, value] pairs
+ */
+function drawPdfDetails(pdf, rows) {
+    const { doc, left, right } = pdf;
+    const valueX = left + 120;
+
+    rows.forEach(([label, value]) => {
+        doc.setFontSize(10);
+        const valueLines = doc.splitTextToSize(String(value), right - valueX);
+        const height = valueLines.length * 12 + 4;
+        ensurePdfSpace(pdf, height);
+
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(60);
+        doc.text(label, left + 6, pdf.y);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(40);
+        doc.text(valueLines, valueX, pdf.y);
+        pdf.y += height;
+    });
+
+    pdf.y += 10;
+}
+
+/**
+ * Draw right-aligned label/amount rows (totals or profit lines) on the PDF
+ * @param {Object} pdf - PDF layout
+ * @param {Array} rows - Rows ({ label, amount, emphasis, text })
+ */
+function drawPdfTotals(pdf, rows) {
+    const { doc, right } = pdf;
+    const labelX = right - 220;
 
-            // Add logo and header
-            doc.setFillColor(brandBlue);
-            doc.rect(0, 0, doc.internal.pageSize.getWidth(), 80, 'F');
+    rows.forEach(row => {
+        const height = row.emphasis ? 28 : 18;
+        ensurePdfSpace(pdf, height);
 
+        if (row.emphasis) {
+            doc.setFillColor(pdf.colors.primary);
+            doc.rect(labelX - 10, pdf.y - 14, right - labelX + 10, 24, 'F');
             doc.setTextColor(255);
-            doc.setFontSize(22);
             doc.setFont('helvetica', 'bold');
-            doc.text('Prime Facility Services Group', 40, 35);
-
-            doc.setFontSize(16);
+            doc.setFontSize(12);
+        } else {
+            doc.setTextColor(60);
             doc.setFont('helvetica', 'normal');
-            doc.text('Professional Kitchen Cleaning Quote', 40, 60);
+            doc.setFontSize(10);
+        }
 
-            // Add quote details
-            doc.setTextColor(80);
-            doc.setFillColor(245, 245, 245);
-            doc.rect(0, 80, doc.internal.pageSize.getWidth(), 60, 'F');
+        doc.text(row.label, labelX, pdf.y);
+        doc.text(row.text || formatCurrency(row.amount), right - 6, pdf.y, { align: 'right' });
+        pdf.y += height;
+    });
 
-            doc.setFontSize(12);
-            doc.text(`Quote #: ${quoteNumber}`, 40, 100);
-            doc.text(`Date: ${formattedDate}`, 40, 120);
-            doc.text(`Valid until: ${new Date(currentDate.setMonth(currentDate.getMonth() + 1)).toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            })}`, 300, 100);
-
-            // Use html2canvas to render the quote content
-            html2canvas(quoteSummary, {
-                scale: 2,
-                useCORS: true,
-                logging: false,
-                backgroundColor: 'white'
-            }).then(canvas => {
-                // Add quote content
-                const imgData = canvas.toDataURL('image/png');
-                const imgWidth = 520;
-                const imgHeight = canvas.height * imgWidth / canvas.width;
-
-                doc.addImage(imgData, 'PNG', 40, 160, imgWidth, imgHeight);
-
-                // Add Terms & Conditions
-                const footerY = 160 + imgHeight + 40;
-
-                if (footerY < doc.internal.pageSize.getHeight() - 100) {
-                    // Add terms and conditions
-                    doc.setFillColor(245, 245, 245);
-                    doc.rect(40, footerY, 520, 80, 'F');
-
-                    doc.setFontSize(10);
-                    doc.setTextColor(80);
-                    doc.setFont('helvetica', 'bold');
-                    doc.text('Terms & Conditions:', 50, footerY + 20);
-
-                    doc.setFont('helvetica', 'normal');
-                    doc.text('This quote is valid for 30 days. Payment terms: 50% deposit, balance due upon completion.', 50, footerY + 40);
-                    doc.text('All services are subject to our standard terms and conditions available upon request.', 50, footerY + 55);
-                    doc.text('Please contact us with any questions or to schedule your service.', 50, footerY + 70);
-                }
+    pdf.y += 10;
+}
+
+/**
+ * Draw the terms and conditions block on the PDF, line by line so long terms
+ * carry over to the next page
+ * @param {Object} pdf - PDF layout
+ * @param {Array} terms - Terms, one paragraph each
+ */
+function drawPdfTerms(pdf, terms) {
+    const { doc, left, right } = pdf;
+    const width = right - left;
+    doc.setFontSize(9);
+    const lines = terms.flatMap(term => doc.splitTextToSize(term, width - 20));
+
+    // Keep the heading with the first line of the terms
+    ensurePdfSpace(pdf, 36);
+    doc.setFillColor(pdf.colors.stripe);
+    doc.rect(left, pdf.y, width, 24, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.setTextColor(80);
+    doc.text('Terms & Conditions', left + 10, pdf.y + 18);
+    pdf.y += 24;
+
+    lines.forEach(line => {
+        ensurePdfSpace(pdf, 12);
+        doc.setFillColor(pdf.colors.stripe);
+        doc.rect(left, pdf.y, width, 12, 'F');
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(80);
+        doc.text(line, left + 10, pdf.y + 10);
+        pdf.y += 12;
+    });
+
+    doc.setFillColor(pdf.colors.stripe);
+    doc.rect(left, pdf.y, width, 6, 'F');
+    pdf.y += 16;
+}
 
-                // Add contact information
-                doc.setDrawColor(200);
-                doc.line(40, doc.internal.pageSize.getHeight() - 50, doc.internal.pageSize.getWidth() - 40, doc.internal.pageSize.getHeight() - 50);
+/**
+ * Draw the contact footer and page numbers on every page of the PDF
+ * @param {Object} pdf - PDF layout
+ * @param {string} quoteNumber - Quote number shown in the footer
+ */
+function drawPdfFooters(pdf, quoteNumber) {
+    const { doc, left, right, pageWidth, pageHeight } = pdf;
+    const pageCount = doc.getNumberOfPages();
+
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setDrawColor(200);
+        doc.setLineWidth(0.5);
+        doc.line(left, pageHeight - 50, right, pageHeight - 50);
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(100);
+        getDocumentFooterLines().slice(0, 2).forEach((line, index) =>
+            doc.text(line, pageWidth / 2, pageHeight - 35 + index * 13, { align: 'center' }));
+        doc.text(`Quote ${quoteNumber}`, left, pageHeight - 22);
+        doc.text(`Page ${page} of ${pageCount}`, right, pageHeight - 22, { align: 'right' });
+    }
+}
 
-                doc.setFontSize(9);
-                doc.setTextColor(100);
-                doc.text('Prime Facility Services Group | Phone: (713) 555-7890 | Email: info@primefacilityservices.com', doc.internal.pageSize.getWidth() / 2, doc.internal.pageSize.getHeight() - 30, { align: 'center' });
-                doc.text('www.primefacilityservicesgroup.com', doc.internal.pageSize.getWidth() / 2, doc.internal.pageSize.getHeight() - 15, { align: 'center' });
+/**
+ * Draw the branded header band (logo, company name, document title and
+ * letterhead) at the top of the PDF
+ * @param {Object} pdf - PDF layout
+ * @param {string} mode - DOCUMENT_MODES key
+ */
+function drawPdfHeader(pdf, mode) {
+    const { doc, left, right, pageWidth } = pdf;
+    const { companyName, logoDataUrl } = state.settings.branding;
+    const letterhead = getDocumentLetterhead().slice(0, 5);
 
-                // Save the PDF
-                doc.save(`kitchen-cleaning-quote-${quoteNumber}.pdf`);
+    doc.setFillColor(pdf.colors.primary);
+    doc.rect(0, 0, pageWidth, 80, 'F');
 
-                showNotification("PDF generated successfully!", "success");
-            }).catch(err => {
-                console.error('Error generating PDF:', err);
-                showNotification("Error generating PDF. Please try again.", "error");
-            });
+    // A logo the PDF library can't read is left out rather than failing the PDF
+    let textLeft = left;
+    if (logoDataUrl) {
+        try {
+            const logo = doc.getImageProperties(logoDataUrl);
+            const scale = Math.min(120 / logo.width, 56 / logo.height);
+            doc.addImage(logoDataUrl, logo.fileType, left, 40 - logo.height * scale / 2, logo.width * scale, logo.height * scale);
+            textLeft += logo.width * scale + 15;
         } catch (error) {
-            console.error('PDF generation error:', error);
-            showNotification("PDF generation failed. Please try printing instead.", "error");
+            console.error('Error adding logo to PDF:', error);
         }
-    } else {
-        showNotification("PDF libraries not loaded. Please try printing instead.", "warning");
+    }
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(255);
+    letterhead.forEach((line, index) => doc.text(line, right, 22 + index * 12, { align: 'right' }));
+    const letterheadWidth = Math.max(0, ...letterhead.map(line => doc.getTextWidth(line)));
+    const textWidth = right - textLeft - (letterheadWidth ? letterheadWidth + 15 : 0);
+
+    // Long company names shrink to fit beside the logo and letterhead
+    doc.setFont('helvetica', 'bold');
+    let fontSize = 22;
+    doc.setFontSize(fontSize);
+    while (fontSize > 12 && doc.getTextWidth(companyName) > textWidth) doc.setFontSize(--fontSize);
+    doc.text(companyName, textLeft, 35);
+
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'normal');
+    doc.text(doc.splitTextToSize(getDocumentTitle(mode), textWidth)[0], textLeft, 60);
+}
+
+/**
+ * Draw one quote document section on the PDF
+ * @param {Object} pdf - PDF layout
+ * @param {Object} section - DOCUMENT_SECTIONS entry
+ * @param {Object} results - Quote results
+ */
+function drawPdfSection(pdf, section, results) {
+    const rows = section.rows(results);
+    if (section.title) drawPdfSectionTitle(pdf, section.title);
+
+    if (section.kind === 'details') drawPdfDetails(pdf, rows);
+    else if (section.kind === 'lines') drawPdfLineItems(pdf, rows);
+    else if (section.kind === 'totals') drawPdfTotals(pdf, rows);
+    else if (section.kind === 'tiers') drawPdfTierTable(pdf, rows);
+    else if (section.kind === 'terms') drawPdfTerms(pdf, rows);
+}
+
+/**
+ * Generate a PDF of the quote as text and tables built from the results
+ * @param {string} [mode=state.ui.documentMode] - DOCUMENT_MODES key
+ */
+function generatePDF(mode = state.ui.documentMode) {
+    // Check if jsPDF is available
+    if (typeof window.jspdf === 'undefined') {
+        showNotification("PDF library not loaded. Please try printing instead.", "warning");
+        return;
+    }
+
+    showNotification("Preparing PDF...", "info");
+
+    try {
+        // Quote number and revision, assigned when the quote is first saved
+        const quoteNumber = getDocumentQuoteNumber();
+
+        // Set up PDF document
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'p',
+            unit: 'pt',
+            format: 'a4',
+            compress: true
+        });
+
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const { primaryColor, accentColor } = state.settings.branding;
+        const pdf = {
+            doc, pageWidth, pageHeight, left: 40, right: pageWidth - 40, bottom: pageHeight - 70, y: 0, onNewPage: null,
+            colors: { primary: primaryColor, accent: accentColor, stripe: '#F5F5F5' }
+        };
+
+        // Add logo and header
+        drawPdfHeader(pdf, mode);
+
+        // Add quote details, two to a row
+        const details = getDocumentDetails(mode);
+        const detailsHeight = Math.ceil(details.length / 2) * 20 + 20;
+        doc.setTextColor(80);
+        doc.setFillColor(245, 245, 245);
+        doc.rect(0, 80, pageWidth, detailsHeight, 'F');
+
+        doc.setFontSize(12);
+        details.forEach(([label, value], index) => {
+            const text = doc.splitTextToSize(`${label}: ${value}`, 250)[0];
+            doc.text(text, index % 2 ? 300 : 40, 100 + Math.floor(index / 2) * 20);
+        });
+        pdf.y = 110 + detailsHeight;
+
+        // The sections configured for this document mode
+        getDocumentSections(mode).forEach(section => drawPdfSection(pdf, section, state.results));
+
+        // Add contact information and page numbers
+        drawPdfFooters(pdf, quoteNumber);
+
+        // Save the PDF
+        doc.save(getQuoteFileName('pdf', DOCUMENT_MODES[mode].fileSuffix));
+
+        showNotification("PDF generated successfully!", "success");
+    } catch (error) {
+        console.error('PDF generation error:', error);
+        showNotification("PDF generation failed. Please try printing instead.", "error");
     }
 }
 
@@ -2272,12 +6122,9 @@ function captureScreenshot() {
             // Set up download link
             const downloadLink = document.getElementById('downloadLink');
 
-            // Create quote number for filename
-            const quoteNumber = 'PFS-' + new Date().getFullYear() + '-' + Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-
             // Set download attributes
             downloadLink.href = canvas.toDataURL('image/png');
-            downloadLink.download = `kitchen-cleaning-quote-${quoteNumber}.png`;
+            downloadLink.download = getQuoteFileName('png');
 
             showNotification("Screenshot created successfully!", "success");
         }).catch(error => {
@@ -2395,6 +6242,11 @@ function enhanceAccessibility() {
  * Initialize the application
  */
 function initApp() {
+    // Restore the saved rate card profiles
+    loadStoredProfiles();
+    loadStoredSettings();
+    const hasStoredPreferences = loadStoredPreferences();
+
     // Add loading indicator
     addLoadingIndicator();
 
@@ -2404,23 +6256,30 @@ function initApp() {
     // Initialize event listeners
     initEventListeners();
 
+    // Open a quote shared through the URL
+    restoreSharedQuote();
+
+    // Sync the form with the restored state
+    updateUIFromState();
+
     // Initialize validation
     initValidation();
 
     // Enhance accessibility
     enhanceAccessibility();
 
-    // Update UI labels from config
-    updateHoodPriceLabels();
-
-    // Check dark mode preference
-    if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+    // Follow the system dark mode setting on the first visit
+    if (!hasStoredPreferences && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
         toggleDarkMode();
     }
 
     // Perform initial calculation
     calculateAll();
 
+    // Load the saved quote library
+    loadSavedQuotes();
+    loadCustomers();
+
     // Check for missing required libraries
     const support = checkBrowserSupport();
 
@@ -0,0 +1,1111 @@
+"use strict";
+
+/**
+ * Kitchen Cleaning Quote Engine
+ *
+ * Pure pricing rules for the Kitchen Cleaning Calculator. Nothing in this file
+ * touches the DOM or the application state, so a quote can be priced in the
+ * browser (loaded before app.js) or in Node via require().
+ *
+ * @author Christian Reyes
+ * @version 2.4.0
+ */
+
+// ===== Defaults =====
+
+/**
+ * Default quote inputs (the values entered on the Quick Quote tab).
+ */
+const DEFAULT_INPUTS = {
+    useSubcontractor: false,
+    subcontractorCost: 0,
+    // Crew rows; payRate null uses the role's rate from the rate card
+    crew: [
+        { roleId: 'supervisor', count: 1, hours: 4, payRate: null },
+        { roleId: 'cleaner', count: 1, hours: 4, payRate: null }
+    ],
+    days: 1,
+    shiftStart: '08:00',
+    // Days of the week the service runs; the job's days fill these in order
+    serviceDays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    materialsPerDay: 50,
+    equipmentPerDay: 40,
+    // Hood lines ({ hoodTypeId, quantity, linearFeet, frequency }); linearFeet is
+    // per hood and only used by per-linear-foot hood types
+    hoodLines: [],
+    hoodLaborCostPerc: 38,  // Default 38% of hood price is labor cost
+    hoodMaterialCostPerc: 12, // Default 12% of hood price is material cost
+    // Add-on service quantity lines ({ serviceId, quantity }) from the service catalog
+    serviceLines: [],
+    isHoliday: false,
+    transportZoneId: 'houston',
+    distanceMiles: 0, // Miles from the home base; 0 uses the selected zone
+    includeInsurance: true,
+    coverageIds: [], // Add-on coverage lines from the coverage options the customer requires
+    // Good/Better/Best proposal tiers ({ id, name, description, includeHoods,
+    // includeServices, hoodFrequency, days }); null overrides keep the base quote's value
+    tiers: [],
+    acceptedTierId: null, // Tier the customer accepted
+    // Customer directory entry and service site the quote is for; not used in pricing
+    customerId: null,
+    siteId: null,
+    // Scope of work tasks ({ id, area, taskId, name, frequency, hours, notes }) printed
+    // on the proposal; taskId is the scope task library entry, null for a custom task
+    scopeItems: [],
+    // Site survey the labor estimate is made from; appliance counts are keyed by
+    // applianceRates ID. Kept with the quote, not used in pricing.
+    siteSurvey: { squareFeet: 0, floorTypeId: 'quarry-tile', soilLevelId: 'normal', appliances: {} }
+};
+
+/**
+ * Default rate configuration.
+ */
+const DEFAULT_CONFIG = {
+    // Crew roles, their hourly pay rates and workers' comp class
+    crewRoles: [
+        { id: 'cleaner', name: 'Cleaner', payRate: 16, workCompClassId: 'janitorial' },
+        { id: 'lead', name: 'Lead', payRate: 17, workCompClassId: 'janitorial' },
+        { id: 'supervisor', name: 'Supervisor', payRate: 18, workCompClassId: 'janitorial' },
+        { id: 'hood-tech', name: 'Hood Tech', payRate: 20, workCompClassId: 'hood-cleaning' }
+    ],
+    // Overtime premium for hours over the daily threshold, or over the weekly
+    // threshold for the rest; a threshold of 0 turns that rule off
+    overtime: { dailyThreshold: 8, weeklyThreshold: 40, multiplier: 1.5 },
+    // Premiums (% of the pay rate) for hours in the night window and for
+    // shifts starting on a Saturday or Sunday
+    shiftDifferentials: { nightStart: '22:00', nightEnd: '06:00', nightPerc: 10, weekendPerc: 15 },
+    // Service zones, matched by distance (maxMiles: null means no limit) or picked on the quote.
+    // Each discount applies to contracts longer than afterDays; the highest matching tier wins.
+    transportZones: [
+        {
+            id: 'houston',
+            name: 'Houston Metro',
+            ratePerDay: 150,
+            maxMiles: 30,
+            discounts: [{ afterDays: 7, discountPerc: 20 }, { afterDays: 21, discountPerc: 44 }]
+        },
+        {
+            id: 'outside-houston',
+            name: 'Outside Houston',
+            ratePerDay: 300,
+            maxMiles: null,
+            discounts: [{ afterDays: 7, discountPerc: 20 }, { afterDays: 21, discountPerc: 44 }]
+        }
+    ],
+    // Hood types, priced per hood ('flat') or per linear foot of canopy ('linearFoot')
+    hoodTypes: [
+        { id: 'large', name: 'Large Hood', pricing: 'flat', price: 650 },
+        { id: 'small', name: 'Small Hood', pricing: 'flat', price: 550 },
+        { id: 'canopy', name: 'Custom Canopy', pricing: 'linearFoot', price: 60 }
+    ],
+    // Markup by contract length: breakpoints joined by straight lines, flat
+    // before the first and after the last
+    markupCurve: [
+        { days: 1, markupPerc: 120 },
+        { days: 30, markupPerc: 35 }
+    ],
+    // Discount on hood cleaning by number of cleanings; the highest frequency reached applies
+    hoodFrequencyDiscounts: [
+        { frequency: 2, discountPerc: 15 },
+        { frequency: 3, discountPerc: 20 },
+        { frequency: 4, discountPerc: 25 },
+        { frequency: 5, discountPerc: 30 }
+    ],
+    // Add-on services priced per unit; the labor and material percentages
+    // are the shares of the price that are labor and material costs
+    serviceCatalog: [
+        { id: 'exhaust-fan', name: 'Exhaust Fan Cleaning', unit: 'fan', unitPrice: 175, laborPerc: 40, materialPerc: 10 },
+        { id: 'grease-trap', name: 'Grease Trap Service', unit: 'trap', unitPrice: 250, laborPerc: 35, materialPerc: 15 },
+        { id: 'filter-exchange', name: 'Hood Filter Exchange', unit: 'filter', unitPrice: 25, laborPerc: 20, materialPerc: 50 },
+        { id: 'floor-degreasing', name: 'Floor Degreasing', unit: 'sq ft', unitPrice: 0.35, laborPerc: 50, materialPerc: 20 },
+        { id: 'walk-in-cooler', name: 'Walk-in Cooler Cleaning', unit: 'cooler', unitPrice: 200, laborPerc: 45, materialPerc: 10 }
+    ],
+    // Scope of work task library by area, with a default frequency and the
+    // estimated labor hours per visit
+    scopeTasks: [
+        { id: 'hood-filters', area: 'hood', name: 'Remove, soak and degrease hood filters', frequency: 'every-visit', hours: 0.5 },
+        { id: 'hood-canopy', area: 'hood', name: 'Degrease hood canopy inside and out', frequency: 'every-visit', hours: 1 },
+        { id: 'hood-plenum', area: 'hood', name: 'Scrape plenum and empty grease cups', frequency: 'every-visit', hours: 0.5 },
+        { id: 'line-cooking', area: 'line-equipment', name: 'Degrease fryers, griddles and ranges', frequency: 'every-visit', hours: 1.5 },
+        { id: 'line-behind', area: 'line-equipment', name: 'Pull out equipment and clean under and behind the line', frequency: 'weekly', hours: 1 },
+        { id: 'line-prep', area: 'line-equipment', name: 'Clean and sanitize prep tables and reach-ins', frequency: 'every-visit', hours: 0.5 },
+        { id: 'floors-mop', area: 'floors', name: 'Sweep, degrease and mop kitchen floors', frequency: 'every-visit', hours: 1 },
+        { id: 'floors-drains', area: 'floors', name: 'Scrub floor drains and grout lines', frequency: 'weekly', hours: 0.75 },
+        { id: 'walls-wash', area: 'walls', name: 'Wash walls and splash guards', frequency: 'weekly', hours: 1 },
+        { id: 'walls-ceiling', area: 'walls', name: 'Clean ceiling tiles and vents', frequency: 'monthly', hours: 1 },
+        { id: 'walk-in-shelves', area: 'walk-ins', name: 'Clean walk-in shelving, walls and floor', frequency: 'weekly', hours: 1 },
+        { id: 'walk-in-gaskets', area: 'walk-ins', name: 'Wipe door gaskets and handles', frequency: 'weekly', hours: 0.25 },
+        { id: 'restroom-fixtures', area: 'restrooms', name: 'Clean and sanitize fixtures and mirrors', frequency: 'every-visit', hours: 0.5 },
+        { id: 'restroom-restock', area: 'restrooms', name: 'Empty trash and restock paper and soap', frequency: 'every-visit', hours: 0.25 }
+    ],
+    // Site survey production rates: floor cleaned per labor hour by floor type,
+    // minutes of labor per appliance, and soil level multipliers on the total
+    floorTypes: [
+        { id: 'quarry-tile', name: 'Quarry tile', sqFtPerHour: 500 },
+        { id: 'ceramic-tile', name: 'Ceramic tile', sqFtPerHour: 600 },
+        { id: 'sealed-concrete', name: 'Sealed concrete', sqFtPerHour: 700 },
+        { id: 'vinyl', name: 'Vinyl / VCT', sqFtPerHour: 750 }
+    ],
+    applianceRates: [
+        { id: 'fryer', name: 'Fryers', minutesEach: 30 },
+        { id: 'range', name: 'Ranges', minutesEach: 25 },
+        { id: 'flat-top', name: 'Flat-tops / griddles', minutesEach: 20 },
+        { id: 'oven', name: 'Ovens', minutesEach: 35 }
+    ],
+    soilLevels: [
+        { id: 'light', name: 'Light', multiplier: 0.8 },
+        { id: 'normal', name: 'Normal', multiplier: 1 },
+        { id: 'heavy', name: 'Heavy', multiplier: 1.3 },
+        { id: 'extreme', name: 'Extreme (neglected)', multiplier: 1.6 }
+    ],
+    surveyShiftHours: 6, // Most hours per person per day when suggesting a crew size
+    // Payroll burden: employer taxes and benefits, each a percentage of wages up
+    // to an optional wage base per employee (null for no cap)
+    payrollBurden: [
+        { id: 'fica', name: 'FICA (Social Security & Medicare)', ratePerc: 7.65, wageBaseCap: null },
+        { id: 'futa', name: 'FUTA', ratePerc: 0.6, wageBaseCap: 7000 },
+        { id: 'suta', name: 'SUTA', ratePerc: 2.7, wageBaseCap: 9000 },
+        { id: 'benefits', name: 'Benefits', ratePerc: 6.05, wageBaseCap: null }
+    ],
+    // Workers' comp class codes, rated per $100 of payroll. Labor whose role has
+    // no class (or a class that was removed) uses the first one.
+    workCompClasses: [
+        { id: 'janitorial', code: '9014', name: 'Janitorial Services', ratePer100: 1.88 },
+        { id: 'hood-cleaning', code: '5537', name: 'Hood & Exhaust Cleaning', ratePer100: 3.5 }
+    ],
+    hoodWorkCompClassId: 'hood-cleaning', // Class for the labor share of hood cleaning
+    glRate: 7.33, // General liability per $1,000 of total price
+    glMinimumPremium: 0, // Least general liability charged on a job
+    // Coverage a customer can require on a job, charged as a flat premium per job
+    coverageOptions: [
+        { id: 'additional-insured', name: 'Additional Insured Endorsement', premium: 150 },
+        { id: 'waiver-of-subrogation', name: 'Waiver of Subrogation', premium: 100 },
+        { id: 'primary-noncontributory', name: 'Primary & Non-Contributory', premium: 75 }
+    ]
+};
+
+/**
+ * Default pricing options.
+ */
+const DEFAULT_OPTIONS = {
+    includeTransport: true,
+    includeMaterials: true,
+    includeEquipment: true,
+    enableRounding: true,
+    roundingMethod: 'up',
+    roundingValue: 50,
+    useCustomMarkup: false,
+    customMarkupPercentage: 120,
+    commissionPercentage: 20,
+    enableCommissionSplit: false,
+    commissionSplits: [10, 10],
+    regularSuppliesPercentage: 6,
+    additionalEquipmentPercentage: 2.75,
+    uniformSafetyPercentage: 2.5,
+    communicationsPercentage: 1,
+    overheadPercentage: 5,
+    enableInitialFee: false,
+    initialFeeValue: 150,
+    enableResidualPercentage: false,
+    residualPercentageValue: 10,
+    enableAutoCostOptimization: false
+};
+
+/**
+ * Create a deep copy of a plain data value
+ * @param {*} value - Value to copy
+ * @returns {*} - Deep copy
+ */
+const cloneData = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Fill in any rate missing from a stored configuration with its default, and
+ * upgrade configurations saved by earlier versions.
+ * @param {Object} [config] - Stored configuration
+ * @returns {Object} - Complete configuration
+ */
+const normalizeConfig = (config = {}) => {
+    const normalized = { ...cloneData(DEFAULT_CONFIG), ...cloneData(config) };
+
+    // Houston / outside Houston flat rates became the first two transport zones
+    if (!config.transportZones && config.transportCostPerDay !== undefined) {
+        normalized.transportZones[0].ratePerDay = config.transportCostPerDay;
+        normalized.transportZones[1].ratePerDay = config.outsideHoustonTransportCostPerDay;
+    }
+    delete normalized.transportCostPerDay;
+    delete normalized.outsideHoustonTransportCostPerDay;
+
+    // Regular worker / supervisor pay rates became the cleaner and supervisor roles
+    if (!config.crewRoles && config.regularPayRate !== undefined) {
+        normalized.crewRoles.find(role => role.id === 'cleaner').payRate = config.regularPayRate;
+        normalized.crewRoles.find(role => role.id === 'supervisor').payRate = config.supervisorPayRate;
+    }
+    delete normalized.regularPayRate;
+    delete normalized.supervisorPayRate;
+
+    // Large / small hood prices became hood types
+    if (!config.hoodTypes && config.largeHoodPrice !== undefined) {
+        normalized.hoodTypes.find(type => type.id === 'large').price = config.largeHoodPrice;
+        normalized.hoodTypes.find(type => type.id === 'small').price = config.smallHoodPrice;
+    }
+    delete normalized.largeHoodPrice;
+    delete normalized.smallHoodPrice;
+
+    // Rates saved before the payroll burden was itemized keep the flat 17% labor tax
+    if (!config.payrollBurden) {
+        normalized.payrollBurden = [{ id: 'labor-tax', name: 'Labor taxes', ratePerc: 17, wageBaseCap: null }];
+    }
+
+    // A single workers' comp rate became one class that all labor falls under
+    if (!config.workCompClasses) {
+        normalized.workCompClasses = [{
+            id: 'workers-comp',
+            code: '',
+            name: "Workers' Compensation",
+            ratePer100: config.workCompRate ?? 1.88
+        }];
+    }
+    delete normalized.workCompRate;
+
+    // Rates saved before overtime and shift differentials existed keep pricing without them
+    if (!config.overtime) normalized.overtime = { ...DEFAULT_CONFIG.overtime, multiplier: 1 };
+    if (!config.shiftDifferentials) {
+        normalized.shiftDifferentials = { ...DEFAULT_CONFIG.shiftDifferentials, nightPerc: 0, weekendPerc: 0 };
+    }
+
+    return normalized;
+};
+
+/**
+ * Fill in any input missing from a stored quote with its default, and upgrade
+ * inputs saved by earlier versions.
+ * @param {Object} [inputs] - Stored quote inputs
+ * @returns {Object} - Complete quote inputs
+ */
+const normalizeInputs = (inputs = {}) => {
+    const normalized = { ...cloneData(DEFAULT_INPUTS), ...cloneData(inputs) };
+
+    if (inputs.transportZoneId === undefined && inputs.outsideHouston !== undefined) {
+        normalized.transportZoneId = inputs.outsideHouston ? 'outside-houston' : 'houston';
+    }
+    delete normalized.outsideHouston;
+
+    // A worker count became crew rows, keeping the old rule that one worker
+    // on a single-day job with more than one worker is the supervisor
+    if (inputs.crew === undefined && inputs.workers !== undefined) {
+        const { workers, hours = DEFAULT_INPUTS.crew[0].hours } = inputs;
+        const supervisors = normalized.days === 1 && workers > 1 ? 1 : 0;
+        normalized.crew = [
+            { roleId: 'supervisor', count: supervisors, hours, payRate: null },
+            { roleId: 'cleaner', count: workers - supervisors, hours, payRate: null }
+        ].filter(row => row.count > 0);
+    }
+    delete normalized.workers;
+    delete normalized.hours;
+
+    // Large / small hood counts became hood lines sharing the old cleaning frequency
+    if (inputs.hoodLines === undefined && (inputs.largeHoods !== undefined || inputs.smallHoods !== undefined)) {
+        const frequency = inputs.hoodCleaningFrequency || 1;
+        normalized.hoodLines = [['large', inputs.largeHoods], ['small', inputs.smallHoods]]
+            .filter(([, quantity]) => quantity > 0)
+            .map(([hoodTypeId, quantity]) => ({ hoodTypeId, quantity, linearFeet: 0, frequency }));
+    }
+    delete normalized.largeHoods;
+    delete normalized.smallHoods;
+    delete normalized.hoodCleaningFrequency;
+
+    return normalized;
+};
+
+/**
+ * Fill in a rate an older shared link left out with the value its version used.
+ * @param {Object} payload - Decoded link
+ * @param {string} key - Configuration key whose schema changed after that version
+ * @returns {Object} - Upgraded link
+ */
+const addLegacyConfigValue = (payload, key) => {
+    const config = payload.c || {};
+    if (config[key]) return payload;
+    // normalizeConfig reads a missing key the way rates saved before it did
+    return { ...payload, c: { ...config, [key]: normalizeConfig(config)[key] } };
+};
+
+/**
+ * Upgrades of older shared links to the next version, keyed by the version they
+ * upgrade from. Links leave out rates that match their version's defaults, so a
+ * rate whose schema changed later is filled in as that version meant it.
+ */
+const SHARE_LINK_UPGRADES = {
+    // v1 links predate the itemized payroll burden and used the flat labor tax
+    1: payload => addLegacyConfigValue(payload, 'payrollBurden'),
+    // v2 links predate workers' comp classes and carried a single workers' comp rate
+    2: payload => addLegacyConfigValue(payload, 'workCompClasses')
+};
+
+/**
+ * Read the quote carried by a shared link, upgrading links made by earlier
+ * versions. Links hold only the values that differ from the defaults, so the
+ * rest are filled in from the defaults.
+ * @param {number} version - Link format version
+ * @param {Object} payload - Decoded link ({ i: inputs, o: options, c: rates, p: rate card name })
+ * @returns {Object|null} - { inputs, options, config, profileName }, or null for an unsupported version
+ */
+const readSharedQuote = (version, payload) => {
+    if (version < 1 || version > SHARE_LINK_VERSION) return null;
+
+    let upgraded = payload;
+    for (let from = version; from < SHARE_LINK_VERSION; from++) upgraded = SHARE_LINK_UPGRADES[from](upgraded);
+
+    return {
+        inputs: normalizeInputs(upgraded.i),
+        options: cloneData({ ...DEFAULT_OPTIONS, ...upgraded.o }),
+        config: normalizeConfig({ ...cloneData(DEFAULT_CONFIG), ...upgraded.c }),
+        profileName: upgraded.p || 'Shared rates'
+    };
+};
+
+// Days of the week, in calendar order from Monday
+const WEEK_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const WEEKEND_DAYS = ['sat', 'sun'];
+
+// Cost ratio the auto-optimization solves the markup for
+const TARGET_COST_PERCENTAGE = 62;
+
+// Format version of shared quote links; raise it when older links would price differently
+const SHARE_LINK_VERSION = 3;
+
+// ===== Helpers =====
+
+/**
+ * Round an amount using the desired method.
+ * @param {number} amount - Value to round.
+ * @param {'up'|'down'|'nearest'} method - Rounding mode.
+ * @param {number} value - Step value for rounding.
+ * @returns {number} - Rounded amount
+ */
+const roundAmount = (amount, method = 'up', value = 50) => {
+    if (!value) return amount;
+    switch (method) {
+        case 'up': return Math.ceil(amount / value) * value;
+        case 'down': return Math.floor(amount / value) * value;
+        case 'nearest': default: return Math.round(amount / value) * value;
+    }
+};
+
+/**
+ * Read the markup for a contract length off a markup curve.
+ * @param {Array} curve - Breakpoints ({ days, markupPerc }) in any order
+ * @param {number} days - Number of service days
+ * @returns {number} - Markup percentage, unrounded
+ */
+const getCurveMarkup = (curve, days) => {
+    const points = [...curve].sort((a, b) => a.days - b.days);
+    if (!points.length) return 0;
+    if (days <= points[0].days) return points[0].markupPerc;
+
+    for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        if (days <= to.days) {
+            return to.days === from.days ? to.markupPerc :
+                from.markupPerc + (to.markupPerc - from.markupPerc) * (days - from.days) / (to.days - from.days);
+        }
+    }
+    return points[points.length - 1].markupPerc;
+};
+
+/**
+ * Calculate markup percentage based on contract length or custom value.
+ * @param {number} days - Number of service days.
+ * @param {Object} options - Pricing options
+ * @param {Array} [curve] - Markup curve from the rate configuration
+ * @returns {number} - Calculated markup percentage
+ */
+const calculateMarkupPercentage = (days, options, curve = DEFAULT_CONFIG.markupCurve) => {
+    if (options.useCustomMarkup) return options.customMarkupPercentage;
+    return Math.round(getCurveMarkup(curve, days));
+};
+
+/**
+ * Count the people on a crew.
+ * @param {Array} crew - Crew rows
+ * @returns {number} - Total headcount
+ */
+const getCrewHeadcount = crew => (crew || []).reduce((sum, row) => sum + (row.count || 0), 0);
+
+/**
+ * Estimate the labor for a site survey from the production rates: floor area
+ * at the floor type's rate plus minutes per appliance, scaled by the soil level.
+ * The crew size is the fewest people who stay within the shift hours, and each
+ * person's hours are rounded up to the quarter hour.
+ * @param {Object} survey - Site survey ({ squareFeet, floorTypeId, soilLevelId, appliances })
+ * @param {Object} config - Rate configuration
+ * @returns {Object} - Estimate ({ floorHours, applianceLines, multiplier, totalHours, crewSize, hoursPerPerson })
+ */
+const estimateSurveyLabor = (survey, config) => {
+    const floorType = config.floorTypes.find(type => type.id === survey.floorTypeId) || config.floorTypes[0];
+    const soilLevel = config.soilLevels.find(level => level.id === survey.soilLevelId);
+    const multiplier = soilLevel ? soilLevel.multiplier : 1;
+
+    const floorHours = floorType && floorType.sqFtPerHour > 0 ? (survey.squareFeet || 0) / floorType.sqFtPerHour : 0;
+    const applianceLines = config.applianceRates
+        .map(rate => {
+            const count = (survey.appliances || {})[rate.id] || 0;
+            return { ...rate, count, hours: count * rate.minutesEach / 60 };
+        })
+        .filter(line => line.count > 0);
+
+    const totalHours = (floorHours + applianceLines.reduce((sum, line) => sum + line.hours, 0)) * multiplier;
+    const crewSize = totalHours > 0 ? Math.max(1, Math.ceil(totalHours / (config.surveyShiftHours || 8))) : 0;
+    const hoursPerPerson = crewSize ? Math.ceil(totalHours / crewSize * 4) / 4 : 0;
+
+    return { floorType, floorHours, applianceLines, multiplier, totalHours, crewSize, hoursPerPerson };
+};
+
+/**
+ * Work out the payroll burden on wages shared by a number of employees over a
+ * number of weeks. Wage base caps are per employee per year, so each employee's
+ * pay is taken as a year at the same weekly wages and the capped burden is
+ * spread back over the weeks worked.
+ * @param {number} wages - Wages paid
+ * @param {number} headcount - Employees sharing the wages; fewer than 1 counts as 1
+ * @param {number} weeks - Weeks the wages were paid over
+ * @param {Array} components - Burden components (see DEFAULT_CONFIG.payrollBurden)
+ * @returns {Array} - Burden amount per component, in the same order
+ */
+const getPayrollBurden = (wages, headcount, weeks, components) => {
+    const employees = Math.max(1, headcount || 0);
+    const annualWages = weeks > 0 ? wages / employees / weeks * 52 : 0;
+    return components.map(component => {
+        const taxableWages = component.wageBaseCap ?
+            Math.min(annualWages, component.wageBaseCap) * employees * weeks / 52 : wages;
+        return taxableWages * (component.ratePerc / 100);
+    });
+};
+
+/**
+ * Get the combined rate of the payroll burden components, before wage base caps
+ * @param {Array} components - Burden components
+ * @returns {number} - Percentage of wages
+ */
+const getPayrollBurdenRate = components =>
+    Math.round(components.reduce((sum, component) => sum + component.ratePerc, 0) * 100) / 100;
+
+/**
+ * Find a workers' comp class, falling back to the first class.
+ * @param {Array} classes - Workers' comp classes (see DEFAULT_CONFIG.workCompClasses)
+ * @param {string} [classId] - Class to look up
+ * @returns {Object|null} - Class, or null when none are configured
+ */
+const getWorkCompClass = (classes, classId) =>
+    (classes || []).find(wcClass => wcClass.id === classId) || (classes || [])[0] || null;
+
+/**
+ * Get the hood cleaning discount for a number of cleanings.
+ * @param {Array} discounts - Frequency discount table ({ frequency, discountPerc })
+ * @param {number} frequency - Number of cleanings
+ * @returns {number} - Discount percentage (0 when no tier applies)
+ */
+const getHoodFrequencyDiscount = (discounts, frequency) => {
+    const tiers = (discounts || []).filter(tier => frequency >= tier.frequency);
+    if (tiers.length === 0) return 0;
+    return tiers.reduce((best, tier) => (tier.frequency > best.frequency ? tier : best)).discountPerc;
+};
+
+/**
+ * Convert an "HH:MM" time to minutes after midnight.
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes after midnight
+ */
+const parseTimeOfDay = time => {
+    const [hours, minutes] = String(time || '0:00').split(':').map(part => parseInt(part) || 0);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Count the hours of a shift that fall in the night window, which may wrap past midnight.
+ * @param {string} shiftStart - Shift start time ("HH:MM")
+ * @param {number} hours - Shift length in hours
+ * @param {Object} differentials - Shift differential settings
+ * @returns {number} - Night hours
+ */
+const getNightHours = (shiftStart, hours, { nightStart, nightEnd }) => {
+    const start = parseTimeOfDay(shiftStart);
+    const end = start + hours * 60;
+    const windowStart = parseTimeOfDay(nightStart);
+    let windowEnd = parseTimeOfDay(nightEnd);
+    if (windowEnd <= windowStart) windowEnd += 24 * 60;
+
+    // Check the windows starting the day before through two days after the shift starts
+    let minutes = 0;
+    for (let day = -1; day <= 2; day++) {
+        const offset = day * 24 * 60;
+        minutes += Math.max(0, Math.min(end, windowEnd + offset) - Math.max(start, windowStart + offset));
+    }
+    return minutes / 60;
+};
+
+/**
+ * Get the number of weeks a job runs, with its days laid out over the service
+ * days of the week in order.
+ * @param {Object} inputs - Quote inputs (days, serviceDays)
+ * @returns {number} - Weeks, possibly fractional
+ */
+const getServiceWeeks = inputs => {
+    const serviceDays = WEEK_DAYS.filter(day => (inputs.serviceDays || []).includes(day));
+    return inputs.days / (serviceDays.length || WEEK_DAYS.length);
+};
+
+/**
+ * Work out the overtime and shift differential hours for one crew member.
+ * Job days are laid out over the service days of the week in order.
+ * @param {Object} inputs - Quote inputs (days, shiftStart, serviceDays)
+ * @param {number} hours - Hours per day
+ * @param {Object} config - Rate configuration
+ * @returns {Object} - { overtimeHours, nightHours, weekendHours }
+ */
+const getShiftHours = (inputs, hours, config) => {
+    const { dailyThreshold, weeklyThreshold } = config.overtime;
+    const serviceDays = WEEK_DAYS.filter(day => (inputs.serviceDays || []).includes(day));
+    const schedule = serviceDays.length ? serviceDays : WEEK_DAYS;
+    const nightHours = getNightHours(inputs.shiftStart, hours, config.shiftDifferentials);
+
+    let overtimeHours = 0, weekendHours = 0, weekRegularHours = 0;
+    for (let day = 0; day < inputs.days; day++) {
+        if (day % schedule.length === 0) weekRegularHours = 0;
+        if (WEEKEND_DAYS.includes(schedule[day % schedule.length])) weekendHours += hours;
+
+        let dailyOvertime = dailyThreshold > 0 ? Math.max(0, hours - dailyThreshold) : 0;
+        let regularHours = hours - dailyOvertime;
+
+        if (weeklyThreshold > 0 && weekRegularHours + regularHours > weeklyThreshold) {
+            const weeklyOvertime = weekRegularHours + regularHours - Math.max(weeklyThreshold, weekRegularHours);
+            dailyOvertime += weeklyOvertime;
+            regularHours -= weeklyOvertime;
+        }
+
+        weekRegularHours += regularHours;
+        overtimeHours += dailyOvertime;
+    }
+
+    return { overtimeHours, nightHours: nightHours * inputs.days, weekendHours };
+};
+
+/**
+ * Find the transport zone for a quote: by distance from the home base when one
+ * is entered, otherwise the zone picked on the quote.
+ * @param {Object} inputs - Quote inputs
+ * @param {Object} config - Rate configuration
+ * @returns {Object|null} - Transport zone, or null when none are configured
+ */
+const resolveTransportZone = (inputs, config) => {
+    const zones = config.transportZones || [];
+    if (zones.length === 0) return null;
+
+    if (inputs.distanceMiles > 0) {
+        const byDistance = [...zones].sort((a, b) => (a.maxMiles ?? Infinity) - (b.maxMiles ?? Infinity));
+        const match = byDistance.find(zone => zone.maxMiles === null || zone.maxMiles === undefined || inputs.distanceMiles <= zone.maxMiles);
+        if (match) return match;
+    }
+
+    return zones.find(zone => zone.id === inputs.transportZoneId) || zones[0];
+};
+
+/**
+ * Get the long-contract discount for a transport zone.
+ * @param {Object} zone - Transport zone
+ * @param {number} days - Number of service days
+ * @returns {number} - Discount percentage (0 when no tier applies)
+ */
+const getTransportDiscountPercentage = (zone, days) => {
+    const tiers = (zone.discounts || []).filter(tier => days > tier.afterDays);
+    if (tiers.length === 0) return 0;
+    return tiers.reduce((best, tier) => (tier.afterDays > best.afterDays ? tier : best)).discountPerc;
+};
+
+/**
+ * Build the inputs for a proposal tier from the base quote inputs.
+ * @param {Object} inputs - Base quote inputs
+ * @param {Object} tier - Tier and its overrides (see DEFAULT_INPUTS.tiers)
+ * @returns {Object} - Inputs to price the tier with
+ */
+const applyTierOverrides = (inputs, tier) => {
+    const tierInputs = { ...cloneData(inputs), tiers: [], acceptedTierId: null };
+
+    if (!tier.includeHoods) {
+        tierInputs.hoodLines = [];
+    } else if (tier.hoodFrequency) {
+        tierInputs.hoodLines = tierInputs.hoodLines.map(line => ({ ...line, frequency: tier.hoodFrequency }));
+    }
+    if (!tier.includeServices) tierInputs.serviceLines = [];
+    if (tier.days) tierInputs.days = tier.days;
+
+    return tierInputs;
+};
+
+// ===== Quote Calculation =====
+
+/**
+ * Price a quote.
+ * @param {Object} inputs - Quote inputs (see DEFAULT_INPUTS)
+ * @param {Object} config - Rate configuration (see DEFAULT_CONFIG)
+ * @param {Object} options - Pricing options (see DEFAULT_OPTIONS)
+ * @returns {Object} - Results, including the intermediate cost lines
+ */
+function computeQuote(inputs, config, options) {
+    const {
+        useSubcontractor, subcontractorCost, crew, days, materialsPerDay,
+        equipmentPerDay, hoodLines,
+        hoodLaborCostPerc, hoodMaterialCostPerc, serviceLines, isHoliday, includeInsurance
+    } = inputs;
+
+    // Calculate hood cleaning costs first, per hood line with its frequency discount
+    const pricedHoodLines = (hoodLines || []).map((line, index) => {
+        const hoodType = (config.hoodTypes || []).find(type => type.id === line.hoodTypeId);
+        if (!hoodType || !(line.quantity > 0)) return null;
+
+        const frequency = Math.max(1, line.frequency || 1);
+        const perLinearFoot = hoodType.pricing === 'linearFoot';
+        const unitPrice = perLinearFoot ? hoodType.price * (line.linearFeet || 0) : hoodType.price;
+        const grossAmount = line.quantity * unitPrice * frequency;
+        const discountPerc = getHoodFrequencyDiscount(config.hoodFrequencyDiscounts, frequency);
+        const discountAmount = grossAmount * discountPerc / 100;
+
+        return {
+            index, // Position of the line on the quote
+            hoodTypeId: hoodType.id,
+            name: hoodType.name,
+            pricing: hoodType.pricing,
+            quantity: line.quantity,
+            linearFeet: perLinearFoot ? line.linearFeet || 0 : null,
+            frequency,
+            unitPrice,
+            grossAmount,
+            discountPerc,
+            discountAmount,
+            amount: grossAmount - discountAmount
+        };
+    }).filter(Boolean);
+
+    const hoodCleaningCost = pricedHoodLines.reduce((sum, line) => sum + line.amount, 0);
+
+    // Calculate hood labor and material costs
+    const hoodLaborCost = hoodCleaningCost * (hoodLaborCostPerc / 100);
+    const hoodMaterialCost = hoodCleaningCost * (hoodMaterialCostPerc / 100);
+
+    // Add-on services from the catalog, split into labor and material costs like hoods
+    const pricedServiceLines = (serviceLines || []).map((line, index) => {
+        const service = (config.serviceCatalog || []).find(item => item.id === line.serviceId);
+        if (!service || !(line.quantity > 0)) return null;
+
+        const amount = line.quantity * service.unitPrice;
+        return {
+            index, // Position of the line on the quote
+            serviceId: service.id,
+            name: service.name,
+            unit: service.unit,
+            quantity: line.quantity,
+            unitPrice: service.unitPrice,
+            amount,
+            laborCost: amount * (service.laborPerc / 100),
+            materialCost: amount * (service.materialPerc / 100)
+        };
+    }).filter(Boolean);
+
+    const servicesCost = pricedServiceLines.reduce((sum, line) => sum + line.amount, 0);
+    const serviceLaborCost = pricedServiceLines.reduce((sum, line) => sum + line.laborCost, 0);
+    const serviceMaterialCost = pricedServiceLines.reduce((sum, line) => sum + line.materialCost, 0);
+
+    // Crew labor, priced per row at the row's rate or the role's rate card rate
+    const crewLines = (crew || []).filter(row => row.count > 0 && row.hours > 0).map(row => {
+        const role = (config.crewRoles || []).find(r => r.id === row.roleId);
+        const payRate = row.payRate ?? (role ? role.payRate : 0);
+        const { overtimeHours, nightHours, weekendHours } = getShiftHours(inputs, row.hours, config);
+        const { nightPerc, weekendPerc } = config.shiftDifferentials;
+
+        const baseLaborCost = row.count * payRate * row.hours * days;
+        const overtimeCost = row.count * overtimeHours * payRate * (config.overtime.multiplier - 1);
+        const differentialCost = row.count * payRate *
+            (nightHours * nightPerc + weekendHours * weekendPerc) / 100;
+
+        return {
+            roleId: row.roleId,
+            roleName: role ? role.name : 'Crew',
+            workCompClassId: role ? role.workCompClassId : null,
+            count: row.count,
+            headcount: row.count,
+            hours: row.hours,
+            payRate,
+            overtimeHours: row.count * overtimeHours,
+            nightHours: row.count * nightHours,
+            weekendHours: row.count * weekendHours,
+            baseLaborCost,
+            overtimeCost,
+            differentialCost,
+            laborCost: baseLaborCost + overtimeCost + differentialCost
+        };
+    });
+
+    // Hood and add-on service labor are carried as their own lines, worked by the crew
+    const crewHeadcount = getCrewHeadcount(crew);
+    const laborLines = [
+        ...crewLines,
+        ...[
+            ['Hood cleaning labor', hoodLaborCost, config.hoodWorkCompClassId],
+            ['Add-on services labor', serviceLaborCost, null]
+        ]
+            .filter(([, cost]) => cost > 0)
+            .map(([roleName, cost, workCompClassId]) => ({
+                roleId: null, roleName, workCompClassId, headcount: crewHeadcount,
+                baseLaborCost: cost, overtimeCost: 0, differentialCost: 0, laborCost: cost
+            }))
+    ];
+
+    // Payroll burden and Worker's Compensation (at the line's class code rate) per line
+    const weeks = getServiceWeeks(inputs);
+    laborLines.forEach(line => {
+        const workCompClass = getWorkCompClass(config.workCompClasses, line.workCompClassId);
+        line.burdenAmounts = getPayrollBurden(line.laborCost, line.headcount, weeks, config.payrollBurden);
+        line.laborTax = line.burdenAmounts.reduce((sum, amount) => sum + amount, 0);
+        line.workCompClassId = workCompClass ? workCompClass.id : null;
+        line.workCompCost = includeInsurance && workCompClass ? (line.laborCost * workCompClass.ratePer100 / 100) : 0;
+    });
+
+    const sumLines = key => laborLines.reduce((sum, line) => sum + line[key], 0);
+    const crewLaborCost = crewLines.reduce((sum, line) => sum + line.laborCost, 0);
+    const overtimeCost = sumLines('overtimeCost');
+    const shiftDifferentialCost = sumLines('differentialCost');
+    const laborCost = sumLines('laborCost');
+    const laborTax = sumLines('laborTax');
+    const payrollBurdenLines = config.payrollBurden.map((component, index) => ({
+        ...component,
+        amount: laborLines.reduce((sum, line) => sum + line.burdenAmounts[index], 0)
+    }));
+    const workCompCost = sumLines('workCompCost');
+    const workCompLines = (config.workCompClasses || []).map(workCompClass => {
+        const classLines = laborLines.filter(line => line.workCompClassId === workCompClass.id);
+        return {
+            ...workCompClass,
+            payroll: classLines.reduce((sum, line) => sum + line.laborCost, 0),
+            amount: classLines.reduce((sum, line) => sum + line.workCompCost, 0)
+        };
+    }).filter(line => line.payroll > 0);
+
+    // Transport cost calculation
+    const transportZone = resolveTransportZone(inputs, config);
+    let transportCost = 0, transportDiscountPerc = 0;
+    if (options.includeTransport && transportZone) {
+        transportCost = transportZone.ratePerDay * days;
+
+        // Apply the zone's discount for longer contracts
+        transportDiscountPerc = getTransportDiscountPercentage(transportZone, days);
+        transportCost *= 1 - transportDiscountPerc / 100;
+    }
+
+    // Materials and equipment (regular + hood and add-on service materials)
+    const addOnMaterialCost = hoodMaterialCost + serviceMaterialCost;
+    const materialsCost = options.includeMaterials ? (materialsPerDay * days) + addOnMaterialCost : addOnMaterialCost;
+    const equipmentCost = options.includeEquipment ? equipmentPerDay * days : 0;
+
+    // Base costs sum
+    const baseCosts = laborCost + laborTax + workCompCost + transportCost +
+        materialsCost + equipmentCost + hoodCleaningCost + servicesCost;
+
+    // Operational costs calculation
+    const operationalCostLines = {
+        regularSupplies: baseCosts * (options.regularSuppliesPercentage / 100),
+        additionalEquipment: baseCosts * (options.additionalEquipmentPercentage / 100),
+        uniformSafety: baseCosts * (options.uniformSafetyPercentage / 100),
+        communications: baseCosts * (options.communicationsPercentage / 100),
+        overhead: baseCosts * (options.overheadPercentage / 100)
+    };
+
+    // Total operational costs
+    const operationalCosts = Object.values(operationalCostLines).reduce((sum, cost) => sum + cost, 0);
+
+    // Subtotal
+    const internalCostSubtotal = baseCosts + operationalCosts;
+    const directCosts = internalCostSubtotal;
+    const subtotal = internalCostSubtotal;
+
+    // Apply residual percentage
+    let residualPercentageAmount = 0;
+    let adjustedSubtotal = subtotal;
+
+    if (options.enableResidualPercentage) {
+        residualPercentageAmount = subtotal * (options.residualPercentageValue / 100);
+        adjustedSubtotal += residualPercentageAmount;
+    }
+
+    // Calculate markup percentage
+    let markupPercentage = calculateMarkupPercentage(days, options, config.markupCurve);
+
+    // Target cost percentage optimization
+    let isOptimizationActive = false;
+
+    if (options.enableAutoCostOptimization) {
+        isOptimizationActive = true;
+        markupPercentage = Math.round(((directCosts * 100 / TARGET_COST_PERCENTAGE) / adjustedSubtotal - 1) * 100);
+        markupPercentage = Math.max(20, markupPercentage);
+    }
+
+    // Apply markup
+    const markup = adjustedSubtotal * (markupPercentage / 100);
+
+    // Holiday surcharge
+    const totalBeforeHoliday = adjustedSubtotal + markup;
+    const holidaySurcharge = isHoliday ? totalBeforeHoliday * 0.25 : 0;
+
+    // Total Price (before any rounding, initial fee, or insurance)
+    const totalPrice = totalBeforeHoliday + holidaySurcharge;
+
+    // Calculate General Liability Insurance, no less than the minimum premium
+    const glPremium = totalPrice * config.glRate / 1000;
+    const glMinimumApplied = includeInsurance && glPremium < (config.glMinimumPremium || 0);
+    const generalLiabilityCost = !includeInsurance ? 0 : (glMinimumApplied ? config.glMinimumPremium : glPremium);
+
+    // Add-on coverage the customer requires on this job
+    const coverageLines = !includeInsurance ? [] : (config.coverageOptions || [])
+        .filter(coverage => (inputs.coverageIds || []).includes(coverage.id))
+        .map(coverage => ({ coverageId: coverage.id, name: coverage.name, amount: coverage.premium }));
+    const coverageCost = coverageLines.reduce((sum, line) => sum + line.amount, 0);
+
+    // Initial Fee
+    const initialFeeAmount = options.enableInitialFee ? options.initialFeeValue : 0;
+
+    // Calculate grand total with rounding
+    const preRoundingTotal = totalPrice + generalLiabilityCost + coverageCost + initialFeeAmount;
+    let roundingAdjustment = 0;
+    let grandTotal = preRoundingTotal;
+
+    if (options.enableRounding) {
+        const roundedTotal = roundAmount(preRoundingTotal, options.roundingMethod, options.roundingValue);
+        roundingAdjustment = roundedTotal - preRoundingTotal;
+        grandTotal = roundedTotal;
+    }
+
+    // Calculate cost and profit percentages
+    let costPercentage = 0;
+    let extraBenefit = 0;
+
+    if (useSubcontractor) {
+        costPercentage = Math.round((subcontractorCost / totalPrice) * 100);
+        extraBenefit = internalCostSubtotal - subcontractorCost;
+    } else {
+        costPercentage = Math.round((directCosts / totalPrice) * 100);
+    }
+
+    const profitPercentage = 100 - costPercentage;
+    const isTargetAchieved = (costPercentage === TARGET_COST_PERCENTAGE);
+
+    // Net profit calculation
+    const netProfit = grandTotal - (useSubcontractor ? subcontractorCost : directCosts);
+
+    // Sales commission calculation
+    let salesCommission = 0;
+    let splitCommissions = [];
+
+    if (options.enableCommissionSplit) {
+        // Calculate each split commission
+        let totalCommissionPercentage = 0;
+        splitCommissions = options.commissionSplits.map(percentage => {
+            totalCommissionPercentage += percentage;
+            return { percentage, amount: netProfit * (percentage / 100) };
+        });
+
+        // Total commission amount
+        salesCommission = netProfit * (totalCommissionPercentage / 100);
+    } else {
+        // Standard commission
+        salesCommission = netProfit * (options.commissionPercentage / 100);
+    }
+
+    // Final profit
+    const finalCompanyProfit = netProfit - salesCommission;
+
+    return {
+        laborCost,
+        laborLines,
+        crewLaborCost,
+        hoodLaborCost,
+        overtimeCost,
+        shiftDifferentialCost,
+        hoodMaterialCost,
+        laborTax,
+        payrollBurdenLines,
+        workCompCost,
+        workCompLines,
+        transportCost,
+        transportZone,
+        transportDiscountPerc,
+        materialsCost,
+        equipmentCost,
+        hoodCleaningCost,
+        hoodLines: pricedHoodLines,
+        serviceLines: pricedServiceLines,
+        servicesCost,
+        serviceLaborCost,
+        serviceMaterialCost,
+        operationalCostLines,
+        operationalCosts,
+        internalCostSubtotal,
+        subtotal,
+        residualPercentageAmount,
+        markup,
+        markupPercentage,
+        holidaySurcharge,
+        totalPrice,
+        generalLiabilityCost,
+        glMinimumApplied,
+        coverageLines,
+        coverageCost,
+        initialFeeAmount,
+        roundingAdjustment,
+        grandTotal,
+        netProfit,
+        costPercentage,
+        profitPercentage,
+        salesCommission,
+        finalCompanyProfit,
+        extraBenefit,
+        splitCommissions,
+        targetCostPercentage: TARGET_COST_PERCENTAGE,
+        isOptimizationActive,
+        isTargetAchieved
+    };
+}
+
+// ===== Goal Seek =====
+
+/**
+ * Goal seek targets and whether the result must stay at or below the target
+ * value ('max', e.g. a customer's budget) or reach at least the target ('min').
+ */
+const GOAL_TARGETS = {
+    grandTotal: 'max',
+    costPercentage: 'max',
+    netProfit: 'min',
+    finalCompanyProfit: 'min'
+};
+
+/**
+ * Get the crew row that crew size changes: the largest row, the last one on a tie.
+ * @param {Array} crew - Crew rows
+ * @returns {number} - Row index, or -1 without crew
+ */
+const getAdjustableCrewRow = crew => crew.reduce((best, row, index) =>
+    (best === -1 || row.count >= crew[best].count ? index : best), -1);
+
+/**
+ * Variables goal seek can change. range() gives the values to try (null when the
+ * variable doesn't apply to the quote); apply() sets a value on the inputs and options.
+ */
+const GOAL_VARIABLES = {
+    markup: {
+        step: 1,
+        range: () => [20, 500],
+        apply: (inputs, options, value) => ({
+            inputs,
+            options: { ...options, useCustomMarkup: true, enableAutoCostOptimization: false, customMarkupPercentage: value }
+        })
+    },
+    hours: {
+        step: 0.5,
+        range: inputs => (inputs.crew.length ? [0.5, 16] : null),
+        apply: (inputs, options, value) => ({
+            inputs: { ...inputs, crew: inputs.crew.map(row => ({ ...row, hours: value })) },
+            options
+        })
+    },
+    crewSize: {
+        step: 1,
+        range: inputs => {
+            const row = getAdjustableCrewRow(inputs.crew);
+            if (row === -1) return null;
+            const others = getCrewHeadcount(inputs.crew) - inputs.crew[row].count;
+            return [others + 1, others + 30];
+        },
+        apply: (inputs, options, value) => {
+            const row = getAdjustableCrewRow(inputs.crew);
+            const others = getCrewHeadcount(inputs.crew) - inputs.crew[row].count;
+            const crew = inputs.crew.map((line, index) => (index === row ? { ...line, count: value - others } : line));
+            return { inputs: { ...inputs, crew }, options };
+        }
+    },
+    days: {
+        step: 1,
+        range: () => [1, 60],
+        apply: (inputs, options, value) => ({ inputs: { ...inputs, days: value }, options })
+    }
+};
+
+/**
+ * Find the value of a variable that brings a quote result to a target. Every value
+ * in the variable's range is priced; the solution is the one closest to the target
+ * that respects the target's limit, with ties going to the larger value.
+ * @param {Object} inputs - Quote inputs
+ * @param {Object} config - Rate configuration
+ * @param {Object} options - Pricing options
+ * @param {Object} goal - { target: key of GOAL_TARGETS, value, variable: key of GOAL_VARIABLES }
+ * @returns {Object|null} - { feasible, value, inputs, options, results, achieved, range }, or null if
+ * the variable doesn't apply. When the target can't be met, the closest value is returned as not feasible.
+ */
+const solveGoal = (inputs, config, options, goal) => {
+    const variable = GOAL_VARIABLES[goal.variable];
+    const range = variable.range(inputs);
+    if (!range) return null;
+
+    const isCeiling = GOAL_TARGETS[goal.target] === 'max';
+    const steps = Math.round((range[1] - range[0]) / variable.step);
+    let solution = null;
+    let closest = null;
+
+    for (let i = 0; i <= steps; i++) {
+        const value = range[0] + i * variable.step;
+        const trial = variable.apply(inputs, options, value);
+        const results = computeQuote(trial.inputs, config, trial.options);
+        const achieved = results[goal.target];
+        const candidate = { value, ...trial, results, achieved, gap: Math.abs(achieved - goal.value) };
+
+        const meetsTarget = isCeiling ? achieved <= goal.value : achieved >= goal.value;
+        if (meetsTarget && (!solution || candidate.gap <= solution.gap)) solution = candidate;
+        if (!closest || candidate.gap <= closest.gap) closest = candidate;
+    }
+
+    const { gap, ...best } = solution || closest;
+    return { ...best, feasible: !!solution, range };
+};
+
+// Expose the engine to Node; in the browser the declarations above are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_INPUTS,
+        DEFAULT_CONFIG,
+        DEFAULT_OPTIONS,
+        TARGET_COST_PERCENTAGE,
+        normalizeConfig,
+        normalizeInputs,
+        SHARE_LINK_VERSION,
+        readSharedQuote,
+        WEEK_DAYS,
+        roundAmount,
+        getCrewHeadcount,
+        estimateSurveyLabor,
+        getPayrollBurden,
+        getPayrollBurdenRate,
+        getWorkCompClass,
+        getHoodFrequencyDiscount,
+        getNightHours,
+        getServiceWeeks,
+        getShiftHours,
+        resolveTransportZone,
+        getTransportDiscountPercentage,
+        getCurveMarkup,
+        calculateMarkupPercentage,
+        applyTierOverrides,
+        computeQuote,
+        GOAL_TARGETS,
+        GOAL_VARIABLES,
+        solveGoal
+    };
+}
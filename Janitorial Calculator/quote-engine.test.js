@@ -0,0 +1,395 @@
+/**
+ * Regression tests for the quote engine, checked against the totals the
+ * calculator gave before the engine was extracted from calculateAll().
+ * Run with: node --test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_CONFIG,
+    DEFAULT_OPTIONS,
+    normalizeConfig,
+    normalizeInputs,
+    readSharedQuote,
+    roundAmount,
+    getCrewHeadcount,
+    estimateSurveyLabor,
+    getPayrollBurden,
+    applyTierOverrides,
+    resolveTransportZone,
+    getCurveMarkup,
+    calculateMarkupPercentage,
+    computeQuote,
+    solveGoal
+} = require('./quote-engine.js');
+
+/**
+ * Price a quote from inputs, options and rates that differ from the defaults
+ * @param {Object} inputs - Inputs, upgraded with normalizeInputs
+ * @param {Object} [options] - Options that differ from the defaults
+ * @param {Object} [config] - Rates, upgraded with normalizeConfig
+ * @returns {Object} - Quote results
+ */
+const quote = (inputs, options = {}, config = {}) =>
+    computeQuote(normalizeInputs(inputs), normalizeConfig(config), { ...DEFAULT_OPTIONS, ...options });
+
+/**
+ * Check that two amounts agree to within a millionth of a dollar
+ * @param {number} actual - Calculated amount
+ * @param {number} expected - Expected amount
+ */
+const assertAmount = (actual, expected) =>
+    assert.ok(Math.abs(actual - expected) < 1e-6, `expected ${expected}, got ${actual}`);
+
+test('prices the default quote', () => {
+    assert.equal(quote({}).grandTotal, 1050);
+});
+
+test('prices a larger crew', () => {
+    const results = quote({ workers: 3, hours: 6 });
+    assert.equal(results.grandTotal, 1600);
+    assertAmount(results.netProfit, 900.4396);
+});
+
+test('prices the crew per row at the role or override rate', () => {
+    const crew = [
+        { roleId: 'lead', count: 2, hours: 5, payRate: null },
+        { roleId: 'hood-tech', count: 1, hours: 5, payRate: 25 }
+    ];
+    const results = quote({ crew, days: 2 });
+    assert.equal(getCrewHeadcount(crew), 3);
+    assert.deepEqual(results.laborLines.map(line => line.laborCost), [340, 250]);
+    assert.equal(results.crewLaborCost, 590);
+
+    // A worker count became crew rows, with a supervisor only on single-day jobs
+    assert.deepEqual(normalizeInputs({ workers: 3, hours: 6 }).crew.map(row => [row.roleId, row.count]),
+        [['supervisor', 1], ['cleaner', 2]]);
+    assert.deepEqual(normalizeInputs({ workers: 3, hours: 6, days: 2 }).crew.map(row => [row.roleId, row.count]),
+        [['cleaner', 3]]);
+    assert.equal(normalizeConfig({ regularPayRate: 20 }).crewRoles.find(role => role.id === 'cleaner').payRate, 20);
+});
+
+test('adds overtime and night / weekend differentials', () => {
+    const shiftRates = { overtime: DEFAULT_CONFIG.overtime, shiftDifferentials: DEFAULT_CONFIG.shiftDifferentials };
+    const cleaner = hours => [{ roleId: 'cleaner', count: 1, hours, payRate: null }];
+
+    // Two hours a day past the daily threshold, at time and a half
+    const daily = quote({ crew: cleaner(10), days: 5 }, {}, shiftRates).laborLines[0];
+    assert.equal(daily.overtimeHours, 10);
+    assert.equal(daily.overtimeCost, 80);
+    assert.equal(daily.laborCost, 880);
+
+    // A sixth eight-hour day passes the weekly threshold and falls on a Saturday
+    const weekly = quote({ crew: cleaner(8), days: 6, serviceDays: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }, {}, shiftRates).laborLines[0];
+    assert.equal(weekly.overtimeHours, 8);
+    assert.equal(weekly.overtimeCost, 64);
+    assertAmount(weekly.differentialCost, 19.2);
+
+    // 22:00 to 04:00 of a shift starting at 20:00 is night work
+    const night = quote({ crew: [{ roleId: 'cleaner', count: 2, hours: 8, payRate: null }], shiftStart: '20:00' }, {}, shiftRates).laborLines[0];
+    assert.equal(night.nightHours, 12);
+    assertAmount(night.differentialCost, 19.2);
+
+    // Rates saved before overtime pay straight time
+    assert.equal(quote({ crew: cleaner(10), days: 5 }).laborLines[0].overtimeCost, 0);
+});
+
+test('prices hood cleaning with the frequency discount', () => {
+    const results = quote({ workers: 4, hours: 8, days: 10, largeHoods: 2, smallHoods: 1, hoodCleaningFrequency: 3 });
+    assert.equal(results.hoodCleaningCost, 4440);
+    assert.equal(results.grandTotal, 34750);
+
+    // 15% off for two cleanings, 5% more for each further cleaning up to 30% at five
+    assert.equal(quote({ largeHoods: 1 }).hoodCleaningCost, 650);
+    assert.equal(quote({ largeHoods: 1, hoodCleaningFrequency: 2 }).hoodCleaningCost, 1105);
+    assert.equal(quote({ largeHoods: 1, hoodCleaningFrequency: 5 }).hoodCleaningCost, 2275);
+    assert.equal(quote({ largeHoods: 1, hoodCleaningFrequency: 6 }).hoodCleaningCost, 2730);
+});
+
+test('caps the payroll burden per employee per year', () => {
+    const components = [{ ratePerc: 1, wageBaseCap: 5200 }, { ratePerc: 10, wageBaseCap: null }];
+    // $1,000 for a week is $52,000 a year, capped at $5,200 ($100 a week)
+    assert.deepEqual(getPayrollBurden(1000, 1, 1, components), [1, 100]);
+    assert.deepEqual(getPayrollBurden(1000, 2, 1, components), [2, 100]);
+    assert.deepEqual(getPayrollBurden(1000, 1, 100, components), [10, 100]);
+
+    // FUTA stops at the first $7,000 of each cleaner's pay in a year, however long the job runs
+    const rates = { payrollBurden: DEFAULT_CONFIG.payrollBurden };
+    const crew = hours => [{ roleId: 'cleaner', count: 2, hours, payRate: null }];
+    const futa = (hours, days) => quote({ crew: crew(hours), days }, {}, rates)
+        .payrollBurdenLines.find(component => component.id === 'futa').amount;
+    assertAmount(futa(8, 260), 84);
+    assertAmount(futa(8, 520), 168);
+    assertAmount(futa(1, 260), 8320 * 0.006);
+
+    // Hood labor is shared across the crew
+    const hoodLine = quote({ workers: 3, hours: 6, days: 5, largeHoods: 2 }).laborLines
+        .find(line => line.roleName === 'Hood cleaning labor');
+    assert.equal(hoodLine.headcount, 3);
+});
+
+test('rates workers\' comp by class code', () => {
+    const results = quote({ workers: 3, hours: 6, largeHoods: 1 }, {}, { workCompClasses: DEFAULT_CONFIG.workCompClasses });
+    assert.deepEqual(results.laborLines.map(line => line.workCompClassId), ['janitorial', 'janitorial', 'hood-cleaning']);
+    assert.deepEqual(results.workCompLines.map(line => [line.id, line.payroll]), [['janitorial', 300], ['hood-cleaning', 247]]);
+    assertAmount(results.workCompLines[0].amount, 5.64);
+    assertAmount(results.workCompLines[1].amount, 8.645);
+    assertAmount(results.workCompCost, 14.285);
+
+    // A single workers' comp rate saved before class codes became one class for all labor
+    const legacy = quote({}, {}, { workCompRate: 2.5 });
+    assert.deepEqual(legacy.workCompLines.map(line => [line.id, line.ratePer100, line.payroll]), [['workers-comp', 2.5, 136]]);
+    assertAmount(legacy.workCompCost, 3.4);
+});
+
+test('charges the general liability minimum and add-on coverage', () => {
+    const minimum = quote({}, {}, { glMinimumPremium: 250 });
+    assert.equal(minimum.glMinimumApplied, true);
+    assert.equal(minimum.generalLiabilityCost, 250);
+    assert.equal(minimum.grandTotal, 1300);
+
+    const covered = quote({ coverageIds: ['additional-insured', 'waiver-of-subrogation'] });
+    assert.deepEqual(covered.coverageLines.map(line => [line.coverageId, line.amount]),
+        [['additional-insured', 150], ['waiver-of-subrogation', 100]]);
+    assert.equal(covered.coverageCost, 250);
+    assert.equal(covered.grandTotal, 1300);
+
+    // Uninsured jobs carry no coverage
+    assert.deepEqual(quote({ coverageIds: ['additional-insured'], includeInsurance: false }).coverageLines, []);
+});
+
+test('prices hood lines per hood or per linear foot', () => {
+    const results = quote({ hoodLines: [
+        { hoodTypeId: 'canopy', quantity: 2, linearFeet: 12, frequency: 3 },
+        { hoodTypeId: 'large', quantity: 1, linearFeet: 0, frequency: 1 }
+    ] });
+    const [canopy, large] = results.hoodLines;
+    assert.equal(canopy.unitPrice, 720);
+    assert.equal(canopy.discountPerc, 20);
+    assert.equal(canopy.amount, 3456);
+    assert.equal(large.linearFeet, null);
+    assert.equal(large.amount, 650);
+    assert.equal(results.hoodCleaningCost, 4106);
+
+    // The highest frequency reached in the rate card's discount table applies
+    const discounts = { hoodFrequencyDiscounts: [{ frequency: 3, discountPerc: 12 }] };
+    const custom = quote({ hoodLines: [{ hoodTypeId: 'large', quantity: 1, linearFeet: 0, frequency: 4 }] }, {}, discounts);
+    assert.equal(custom.hoodLines[0].discountPerc, 12);
+    assert.equal(custom.hoodCleaningCost, 2288);
+});
+
+test('prices add-on services from the catalog', () => {
+    const results = quote({ serviceLines: [
+        { serviceId: 'exhaust-fan', quantity: 2 },
+        { serviceId: 'grease-trap', quantity: 0 },
+        { serviceId: 'retired-service', quantity: 3 }
+    ] });
+
+    // Empty lines and services no longer in the catalog are left out
+    assert.deepEqual(results.serviceLines.map(line => [line.serviceId, line.amount]), [['exhaust-fan', 350]]);
+    assert.equal(results.servicesCost, 350);
+    assert.equal(results.serviceLaborCost, 140);
+    assert.equal(results.serviceMaterialCost, 35);
+    assert.equal(results.laborLines.find(line => line.roleName === 'Add-on services labor').laborCost, 140);
+    assert.equal(results.grandTotal, 2500);
+});
+
+test('prices proposal tiers from the base quote', () => {
+    const base = normalizeInputs({ largeHoods: 1, serviceLines: [{ serviceId: 'exhaust-fan', quantity: 2 }] });
+    const priceTier = overrides => computeQuote(applyTierOverrides(base, {
+        id: 'tier', name: 'Tier', description: '', includeHoods: true, includeServices: true,
+        hoodFrequency: null, days: null, ...overrides
+    }), normalizeConfig(), DEFAULT_OPTIONS);
+
+    assert.equal(priceTier({}).grandTotal, 5150);
+    assert.equal(priceTier({ includeHoods: false, includeServices: false }).grandTotal, 1050);
+    assert.equal(priceTier({ hoodFrequency: 4 }).hoodCleaningCost, 1950);
+    assert.equal(priceTier({ days: 5 }).grandTotal, quote({ ...base, days: 5 }).grandTotal);
+    assert.deepEqual(applyTierOverrides({ ...base, tiers: [{ id: 'tier' }] }, { includeHoods: true }).tiers, []);
+});
+
+test('prices transport by location with the long-contract discount', () => {
+    assert.equal(quote({ days: 10, outsideHouston: true }).transportCost, 2400);
+    assertAmount(quote({ days: 30 }).transportCost, 2520);
+
+    // 20% off past a week, then 30% off that past three weeks: 44% in all
+    const results = quote({ workers: 2, days: 30, outsideHouston: true });
+    assertAmount(results.transportCost, 5040);
+    assert.equal(results.grandTotal, 19650);
+});
+
+test('prices transport by zone, picked or matched by distance', () => {
+    const byDistance = quote({ days: 30, distanceMiles: 45 });
+    assert.equal(byDistance.transportZone.id, 'outside-houston');
+    assert.equal(byDistance.transportDiscountPerc, 44);
+    assertAmount(byDistance.transportCost, 5040);
+
+    // Distance wins over the zone picked on the quote
+    assert.equal(resolveTransportZone(normalizeInputs({ distanceMiles: 10, transportZoneId: 'outside-houston' }),
+        normalizeConfig()).id, 'houston');
+
+    const galveston = { id: 'galveston', name: 'Galveston', ratePerDay: 200, maxMiles: null, discounts: [{ afterDays: 5, discountPerc: 10 }] };
+    const results = quote({ days: 6, transportZoneId: 'galveston' }, {}, { transportZones: [galveston] });
+    assert.equal(results.transportDiscountPerc, 10);
+    assertAmount(results.transportCost, 1080);
+
+    // Flat Houston / outside Houston rates saved before zones became the first two zones
+    assert.equal(quote({ outsideHouston: true }, {}, { transportCostPerDay: 100, outsideHoustonTransportCostPerDay: 250 }).transportCost, 250);
+});
+
+test('lowers the markup with the contract length', () => {
+    assert.equal(calculateMarkupPercentage(1, DEFAULT_OPTIONS), 120);
+    assert.equal(calculateMarkupPercentage(2, DEFAULT_OPTIONS), 117);
+    assert.equal(calculateMarkupPercentage(15, DEFAULT_OPTIONS), 79);
+    assert.equal(calculateMarkupPercentage(30, DEFAULT_OPTIONS), 35);
+    assert.equal(calculateMarkupPercentage(45, DEFAULT_OPTIONS), 35);
+    assert.equal(calculateMarkupPercentage(10, { ...DEFAULT_OPTIONS, useCustomMarkup: true, customMarkupPercentage: 90 }), 90);
+});
+
+test('reads the markup off the rate card\'s markup curve', () => {
+    // Breakpoints in any order, joined by straight lines and flat past either end
+    const markupCurve = [{ days: 30, markupPerc: 40 }, { days: 1, markupPerc: 100 }, { days: 10, markupPerc: 60 }];
+    assert.deepEqual([1, 10, 20, 45].map(days => getCurveMarkup(markupCurve, days)), [100, 60, 50, 40]);
+    assert.equal(calculateMarkupPercentage(5, DEFAULT_OPTIONS, markupCurve), 82);
+    assert.equal(quote({ days: 5 }, {}, { markupCurve }).markupPercentage, 82);
+});
+
+test('prices subcontracted work from the subcontractor cost', () => {
+    const results = quote({ workers: 2, hours: 4, days: 3, useSubcontractor: true, subcontractorCost: 600 });
+    assert.equal(results.grandTotal, 3000);
+    assert.equal(results.netProfit, 2400);
+});
+
+test('adds the holiday surcharge, initial fee and insurance', () => {
+    const holiday = quote({ isHoliday: true });
+    assertAmount(holiday.holidaySurcharge, holiday.totalPrice / 1.25 * 0.25);
+    assert.equal(holiday.grandTotal, 1350);
+
+    const fee = quote({}, { enableInitialFee: true });
+    assert.equal(fee.initialFeeAmount, 150);
+    assert.equal(fee.grandTotal, 1200);
+
+    const uninsured = quote({ includeInsurance: false });
+    assert.equal(uninsured.workCompCost, 0);
+    assert.equal(uninsured.generalLiabilityCost, 0);
+});
+
+test('splits the sales commission', () => {
+    const results = quote({ workers: 3, hours: 6, days: 5 }, { enableCommissionSplit: true, commissionSplits: [12, 8] });
+    assert.equal(results.grandTotal, 7200);
+    assert.deepEqual(results.splitCommissions.map(split => split.percentage), [12, 8]);
+    assertAmount(results.splitCommissions[0].amount, 454.2996096);
+    assertAmount(results.splitCommissions[1].amount, 302.8664064);
+    assertAmount(results.salesCommission, 757.166016);
+});
+
+test('adds the residual percentage', () => {
+    const results = quote({ workers: 3, hours: 6, days: 5 }, { enableResidualPercentage: true, residualPercentageValue: 10 });
+    assert.equal(results.grandTotal, 7900);
+    assertAmount(results.residualPercentageAmount, 341.416992);
+});
+
+test('lowers the markup to reach the target cost percentage', () => {
+    assert.equal(quote({ workers: 2, hours: 8, days: 20 }).markupPercentage, 64);
+
+    const results = quote({ workers: 2, hours: 8, days: 20 }, { enableAutoCostOptimization: true });
+    assert.equal(results.isOptimizationActive, true);
+    assert.equal(results.isTargetAchieved, true);
+    assert.equal(results.markupPercentage, 61);
+    assert.equal(results.grandTotal, 19600);
+});
+
+test('rounds the grand total', () => {
+    const unrounded = quote({ workers: 3, hours: 6 }, { enableRounding: false });
+    assert.equal(unrounded.roundingAdjustment, 0);
+    assertAmount(unrounded.grandTotal, 1550.31399101);
+
+    const rounded = quote({ workers: 3, hours: 6 });
+    assertAmount(rounded.roundingAdjustment, 49.68600899);
+    assert.equal(quote({ workers: 3, hours: 6 }, { roundingMethod: 'down', roundingValue: 100 }).grandTotal, 1500);
+    assert.equal(quote({ workers: 3, hours: 6 }, { roundingMethod: 'nearest', roundingValue: 25 }).grandTotal, 1550);
+
+    assert.equal(roundAmount(1201, 'up', 50), 1250);
+    assert.equal(roundAmount(1249, 'down', 50), 1200);
+    assert.equal(roundAmount(1225, 'nearest', 50), 1250);
+    assert.equal(roundAmount(1234.5, 'up', 0), 1234.5);
+});
+
+test('reads shared links, upgrading the inputs they carry', () => {
+    const shared = readSharedQuote(1, { i: { workers: 3, hours: 6 }, o: { enableRounding: false }, p: 'Standard' });
+    assert.deepEqual(shared.inputs.crew.map(row => [row.roleId, row.count]), [['supervisor', 1], ['cleaner', 2]]);
+    assert.equal(shared.options.enableRounding, false);
+    assert.equal(shared.profileName, 'Standard');
+    assertAmount(computeQuote(shared.inputs, shared.config, shared.options).grandTotal, 1550.31399101);
+
+    assert.equal(readSharedQuote(99, {}), null);
+
+    // v1 links predate the payroll burden components and keep the flat 17% labor tax
+    const inputs = { crew: [{ roleId: 'cleaner', count: 2, hours: 10, payRate: null }], days: 5 };
+    const v1 = readSharedQuote(1, { i: inputs, c: {} });
+    assert.deepEqual(v1.config.payrollBurden.map(component => [component.id, component.ratePerc]), [['labor-tax', 17]]);
+    assert.equal(computeQuote(v1.inputs, v1.config, v1.options).grandTotal, 8100);
+    assert.deepEqual(readSharedQuote(2, { i: inputs }).config.payrollBurden, DEFAULT_CONFIG.payrollBurden);
+
+    // v1 and v2 links predate workers' comp classes and keep their single rate
+    const v2 = readSharedQuote(2, { i: inputs, c: { workCompRate: 2.5 } });
+    assert.deepEqual(v2.config.workCompClasses.map(wcClass => wcClass.ratePer100), [2.5]);
+    assert.equal(computeQuote(v2.inputs, v2.config, v2.options).grandTotal, 8000);
+    const v1WorkComp = readSharedQuote(1, { i: inputs, c: { workCompRate: 2.5 } });
+    assert.equal(computeQuote(v1WorkComp.inputs, v1WorkComp.config, v1WorkComp.options).grandTotal, 8150);
+    assert.deepEqual(readSharedQuote(3, { i: inputs }).config.workCompClasses, DEFAULT_CONFIG.workCompClasses);
+});
+
+test('solves for a price, cost or profit target', () => {
+    const inputs = normalizeInputs({ workers: 3, hours: 6 });
+    const solve = goal => solveGoal(inputs, normalizeConfig(), DEFAULT_OPTIONS, goal);
+
+    const price = solve({ target: 'grandTotal', value: 1400, variable: 'markup' });
+    assert.equal(price.feasible, true);
+    assert.equal(price.value, 98);
+    assert.equal(price.options.customMarkupPercentage, 98);
+    assert.equal(price.achieved, 1400);
+
+    const cost = solve({ target: 'costPercentage', value: 40, variable: 'markup' });
+    assert.equal(cost.value, 153);
+    assert.ok(cost.achieved <= 40);
+
+    // Profit targets are floors: the crew grows until the profit is at least the target
+    const profit = solve({ target: 'finalCompanyProfit', value: 800, variable: 'crewSize' });
+    assert.equal(profit.value, 4);
+    assert.deepEqual(profit.inputs.crew.map(row => row.count), [1, 3]);
+    assert.ok(profit.achieved >= 800);
+
+    // An unreachable target returns the closest value, flagged as not feasible
+    const unreachable = solve({ target: 'grandTotal', value: 100, variable: 'markup' });
+    assert.equal(unreachable.feasible, false);
+    assert.equal(unreachable.value, 20);
+    assert.equal(unreachable.achieved, 850);
+
+    assert.equal(solveGoal(normalizeInputs({ crew: [] }), normalizeConfig(), DEFAULT_OPTIONS,
+        { target: 'grandTotal', value: 1400, variable: 'hours' }), null);
+});
+
+test('estimates survey labor from the production rates', () => {
+    const config = normalizeConfig();
+
+    // 5,000 sq ft of quarry tile at 500 an hour plus four 30-minute fryers, heavy soil
+    const estimate = estimateSurveyLabor({
+        squareFeet: 5000,
+        floorTypeId: 'quarry-tile',
+        soilLevelId: 'heavy',
+        appliances: { fryer: 4 }
+    }, config);
+    assert.equal(estimate.floorHours, 10);
+    assert.deepEqual(estimate.applianceLines.map(line => [line.id, line.hours]), [['fryer', 2]]);
+    assert.equal(estimate.multiplier, 1.3);
+    assert.ok(Math.abs(estimate.totalHours - 15.6) < 1e-9);
+    // Three people keep within the 6-hour shift, at 5.2 hours each rounded up to the quarter hour
+    assert.equal(estimate.crewSize, 3);
+    assert.equal(estimate.hoursPerPerson, 5.25);
+
+    const empty = estimateSurveyLabor({ squareFeet: 0, appliances: {} }, config);
+    assert.equal(empty.totalHours, 0);
+    assert.equal(empty.crewSize, 0);
+    assert.equal(empty.hoursPerPerson, 0);
+});